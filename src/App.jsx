@@ -1,18 +1,21 @@
 // Component imports - organized by type for better readability
-import NavBar from "./components/NavBar";
-import HeroSection from "./sections/HeroSection";
-import MessageSection from "./sections/MessageSection";
-import FlavorSection from "./sections/FlavorSection";
-import NutritionSection from "./sections/NutritionSection";
-import BenefitSection from "./sections/BenefitSection";
-import TestimonialSection from "./sections/TestimonialSection";
-import FooterSection from "./sections/FooterSection";
+import Preloader from "./components/Preloader";
+import SkipLink from "./components/SkipLink";
+import HomePage from "./pages/HomePage";
+import FlavorPage from "./pages/FlavorPage";
+
+// Routing imports
+import { Navigate, Route, Routes, useLocation } from "react-router";
+import { useLayoutEffect } from "react";
 
 // GSAP imports - grouped together for better organization
 import gsap from "gsap";
 import { ScrollSmoother, ScrollTrigger } from "gsap/all";
 import { useGSAP } from "@gsap/react";
+import { useFeatureFlags } from "./hooks/useFeatureFlags";
 import { useFontsLoaded } from "./hooks/useFontsLoaded";
+import { useReducedMotion } from "./hooks/useReducedMotion";
+import { handleSmootherFocus } from "./utils/focusScroll";
 
 // Register GSAP plugins for smooth scrolling and scroll-triggered animations
 gsap.registerPlugin(ScrollTrigger, ScrollSmoother);
@@ -21,55 +24,91 @@ const App = () => {
   // Custom hook to check if fonts are loaded before initializing ScrollSmoother
   const fontsLoaded = useFontsLoaded();
 
-  // Initialize ScrollSmoother only after fonts are loaded to prevent layout shifts
-  useGSAP(() => {
-    // Exit early if fonts aren't loaded yet to prevent incorrect positioning
-    if (!fontsLoaded) return;
-
-    // Small delay to ensure DOM is fully ready after font loading
-    const initScrollSmoother = () => {
-      ScrollSmoother.create({
-        smooth: 3, // Smoothness factor (higher = smoother)
-        effects: true, // Enable parallax and other scroll effects
-      });
+  // Global reduced-motion mode - falls back to native scrolling when enabled
+  const { reducedMotion } = useReducedMotion();
+
+  // Feature flags - ScrollSmoother on/off and its smoothness (applied once
+  // the remote flag file is in, so the smoother is not rebuilt mid-visit)
+  const { flags, remoteLoaded } = useFeatureFlags();
+  const { smoother: smootherEnabled, smoothness } = flags;
+
+  // Current route - ScrollSmoother and ScrollTriggers are rebuilt per page
+  const { pathname } = useLocation();
+
+  // Route change: start the new page at the top (deep links handle hashes)
+  // and kill any ScrollTrigger the previous page left behind
+  useLayoutEffect(() => {
+    if (!window.location.hash) window.scrollTo(0, 0);
+
+    return () => {
+      ScrollTrigger.getAll().forEach((trigger) => trigger.kill());
     };
+  }, [pathname]);
+
+  // Initialize ScrollSmoother only after fonts are loaded to prevent layout shifts
+  useGSAP(
+    () => {
+      // Exit early if fonts aren't loaded yet to prevent incorrect positioning,
+      // or while the remote flags may still turn the smoother off
+      if (!fontsLoaded || !remoteLoaded) return;
 
-    // Use requestAnimationFrame to ensure DOM is fully rendered
-    requestAnimationFrame(initScrollSmoother);
-  }, [fontsLoaded]); // Re-run when fontsLoaded changes
+      // Reduced motion or the `smoother` flag off: keep native scrolling and
+      // just re-measure triggers
+      if (reducedMotion || !smootherEnabled) {
+        ScrollTrigger.refresh();
+        return;
+      }
+
+      let smoother;
+
+      // Small delay to ensure DOM is fully ready after font loading
+      const initScrollSmoother = () => {
+        smoother = ScrollSmoother.create({
+          smooth: smoothness, // Smoothness factor (higher = smoother)
+          effects: true, // Enable parallax and other scroll effects
+          onFocusIn: handleSmootherFocus, // Keep keyboard focus on screen in pins
+        });
+      };
+
+      // Use requestAnimationFrame to ensure DOM is fully rendered
+      const frameId = requestAnimationFrame(initScrollSmoother);
+
+      // Tear down the smoother on route change, reduced motion, a flag
+      // change or unmount
+      return () => {
+        cancelAnimationFrame(frameId);
+        smoother?.kill();
+      };
+    },
+    {
+      dependencies: [
+        fontsLoaded,
+        remoteLoaded,
+        reducedMotion,
+        pathname,
+        smootherEnabled,
+        smoothness,
+      ],
+      revertOnUpdate: true,
+    } // Re-run when fonts load, motion mode, the route or the flags change
+  );
 
   return (
-    <main>
-      {/* Navigation bar - positioned outside smooth wrapper for fixed positioning */}
-      <NavBar />
-
-      {/* Loading state - shown while fonts are loading to prevent layout shifts */}
-      {!fontsLoaded && (
-        <div className="fixed inset-0 bg-milk flex-center z-50">
-          <div className="text-dark-brown text-xl font-bold">Loading...</div>
-        </div>
-      )}
-
-      {/* ScrollSmoother wrapper - required for smooth scrolling functionality */}
-      <div id="smooth-wrapper">
-        <div id="smooth-content">
-          {/* Individual sections - each handles its own animations and content */}
-          <HeroSection />
-          <MessageSection />
-          <FlavorSection />
-          <NutritionSection />
-
-          {/* Grouped sections - wrapped together for coordinated animations */}
-          <div>
-            <BenefitSection />
-            <TestimonialSection />
-          </div>
-
-          {/* Footer section - separate as it typically has different scroll behavior */}
-          <FooterSection />
-        </div>
-      </div>
-    </main>
+    <>
+      {/* Keyboard shortcut past the navigation - first focusable element */}
+      <SkipLink />
+
+      {/* Branded preloader - covers the page until critical assets are ready */}
+      <Preloader />
+
+      {/* Pages - each renders its own NavBar, ScrollSmoother wrapper and
+          <main id="main-content"> landmark */}
+      <Routes>
+        <Route path="/" element={<HomePage />} />
+        <Route path="/flavors/:slug" element={<FlavorPage />} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </>
   );
 };
 
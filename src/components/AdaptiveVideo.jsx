@@ -0,0 +1,70 @@
+// Import React hooks and shared media hooks
+import { useState } from "react";
+import { useManagedVideo } from "../hooks/useManagedVideo";
+import { useMediaSource } from "../hooks/useMediaSource";
+
+/**
+ * AdaptiveVideo Component
+ *
+ * Muted background video that picks its rendition for the device and
+ * network (see utils/mediaSource.js) and is played by the media manager.
+ * Renders the still image instead when the selection asks for one (or the
+ * caller does), or the poster when the browser blocks autoplay.
+ *
+ * Props:
+ * @param {Object} media - mediaSources entry
+ * @param {string} [className] - Classes for the video and the still
+ * @param {string} [videoClassName] - Extra classes for the video only
+ * @param {boolean} [loop=false] - Loop the video
+ * @param {Function} [renderStill] - (still) => custom still markup
+ * @param {boolean} [stillOnly=false] - Render the still, never the video
+ */
+const AdaptiveVideo = ({
+  media,
+  className = "",
+  videoClassName = "",
+  loop = false,
+  renderStill,
+  stillOnly = false,
+}) => {
+  const source = useMediaSource(media, { stillOnly });
+
+  // Source the browser refused to autoplay
+  const [blockedSrc, setBlockedSrc] = useState(null);
+
+  const videoSrc = source?.kind === "video" ? source.src : undefined;
+  const { ref } = useManagedVideo({
+    src: videoSrc,
+    onBlocked: () => setBlockedSrc(videoSrc),
+  });
+
+  if (!source) return null;
+
+  if (source.kind === "still" || blockedSrc === videoSrc) {
+    const still =
+      source.kind === "still"
+        ? source
+        : { src: source.poster ?? media.still?.src, alt: media.still?.alt };
+
+    if (!still.src) return null;
+
+    return renderStill ? (
+      renderStill(still)
+    ) : (
+      <img src={still.src} alt={still.alt ?? ""} className={className} />
+    );
+  }
+
+  return (
+    <video
+      ref={ref}
+      poster={source.poster}
+      muted
+      playsInline
+      loop={loop}
+      className={`${className} ${videoClassName}`}
+    />
+  );
+};
+
+export default AdaptiveVideo;
@@ -1,15 +1,19 @@
+// Import the preset-driven reveal wrapper
+import Reveal from "./Reveal";
+
 /**
  * ClipPathTitle Component
  *
  * A reusable component for creating animated titles with clip-path reveal effects.
- * This component is designed to work with GSAP animations and provides a consistent
- * structure for text that needs to be revealed using clip-path animations.
+ * The bordered title box starts as a thin line and reveals itself with the
+ * clipReveal preset (see utils/reveal.js) as it scrolls into view.
  *
  * Features:
  * - Customizable colors for text, background, and border
  * - Responsive padding and sizing
- * - Clip-path ready for GSAP animations
- * - Initially hidden (opacity-0) for animation control
+ * - Reveal direction: from the center, the inline start/end (mirrored in
+ *   RTL), the top or the bottom
+ * - Fades in while revealing, scrubbed with the scroll position
  * - Flexible styling through className prop
  *
  * Props:
@@ -18,22 +22,37 @@
  * @param {string} bg - Background color (CSS color value)
  * @param {string} className - Additional CSS classes to apply
  * @param {string} borderColor - Border color (CSS color value)
- *
- * Usage:
- * This component is typically used with GSAP animations that modify the clipPath
- * style property to create reveal effects. The initial clipPath creates a thin
- * vertical line that can be expanded to reveal the full text.
+ * @param {string} [direction] - "center" (default), "start", "end", "top"
+ *   or "bottom"
+ * @param {Object} [reveal] - Further clipReveal overrides (start, end,
+ *   scrub, ease...)
  */
-const ClipPathTitle = ({ title, color, bg, className, borderColor }) => {
+const ClipPathTitle = ({
+  title,
+  color,
+  bg,
+  className,
+  borderColor,
+  direction = "center",
+  reveal,
+}) => {
   return (
     <div className="general-title">
-      {/* Main container with clip-path and border styling */}
-      <div
+      {/* Main container with the clip-path reveal and border styling */}
+      <Reveal
+        preset="clipReveal"
+        reveal={{
+          direction,
+          fade: true, // Initially hidden, fades in while revealing
+          start: "top 85%", // Starts as the title enters the lower viewport
+          end: "top 55%", // Fully revealed a little above the middle
+          scrub: 1.5, // Smooth scrubbing tied to scroll position
+          ...reveal,
+        }}
         style={{
-          clipPath: "polygon(50% 0, 50% 0, 50% 100%, 50% 100%)", // Creates a thin vertical line (hidden)
           borderColor: borderColor, // Dynamic border color
         }}
-        className={`${className} border-[.5vw] text-nowrap opacity-0`} // Initially hidden for animation
+        className={`${className} border-[.5vw] text-nowrap`}
       >
         {/* Inner content container with background color */}
         <div
@@ -51,7 +70,7 @@ const ClipPathTitle = ({ title, color, bg, className, borderColor }) => {
             {title}
           </h2>
         </div>
-      </div>
+      </Reveal>
     </div>
   );
 };
@@ -0,0 +1,102 @@
+// Import React hooks, the experiments context and helpers
+import { useCallback, useMemo, useRef, useState } from "react";
+import {
+  EXPERIMENTS_STORAGE_KEY,
+  ExperimentsContext,
+} from "../context/ExperimentsContext";
+import { useFeatureFlags } from "../hooks/useFeatureFlags";
+import {
+  assignVariant,
+  defaultExperimentReporter,
+  parseQueryVariants,
+  readVisitorId,
+} from "../utils/experiments";
+
+/**
+ * ExperimentsProvider Component
+ *
+ * Assigns the visitor to A/B variants and reports what they saw and did.
+ *
+ * Features:
+ * - Sticky assignment derived from a stored visitor id
+ * - Variants forced through the `ab` query parameter for QA, read once on
+ *   load like the feature flag overrides
+ * - One exposure event per experiment and visit, however often the
+ *   section re-renders
+ * - Pluggable reporter; reporter failures never reach the page
+ * - The `experiments` feature flag ends every experiment at once. Nothing
+ *   is assigned or reported before the remote flag file is in, so a
+ *   remote `experiments: false` stops every event (the preloader covers
+ *   the page until then, so the control copy shown meanwhile never flashes)
+ *
+ * Props:
+ * @param {Object} [reporter] - Event reporter ({ report(event) })
+ */
+const ExperimentsProvider = ({
+  children,
+  reporter = defaultExperimentReporter,
+}) => {
+  const { flags, remoteLoaded } = useFeatureFlags();
+  const enabled = remoteLoaded && flags.experiments;
+  const [visitorId] = useState(() => readVisitorId(EXPERIMENTS_STORAGE_KEY));
+  const [forced] = useState(() => parseQueryVariants(window.location.search));
+
+  // Experiments already reported as seen during this visit
+  const exposedRef = useRef(new Set());
+
+  const getVariant = useCallback(
+    (experiment) => {
+      if (!enabled) return "control";
+      return forced[experiment] ?? assignVariant(experiment, visitorId);
+    },
+    [enabled, forced, visitorId]
+  );
+
+  const report = useCallback(
+    (type, experiment, details = {}) => {
+      if (!enabled) return;
+
+      try {
+        reporter.report({
+          type,
+          experiment,
+          variant: getVariant(experiment),
+          visitorId,
+          ...details,
+          ...(experiment in forced && { forced: true }),
+          timestamp: Date.now(),
+        });
+      } catch {
+        // Reporting is best effort - never break the page over analytics
+      }
+    },
+    [enabled, forced, getVariant, reporter, visitorId]
+  );
+
+  const expose = useCallback(
+    (experiment) => {
+      if (!enabled || exposedRef.current.has(experiment)) return;
+      exposedRef.current.add(experiment);
+      report("exposure", experiment);
+    },
+    [enabled, report]
+  );
+
+  const convert = useCallback(
+    (experiment, goal) => report("conversion", experiment, { goal }),
+    [report]
+  );
+
+  const value = useMemo(
+    () => ({ visitorId, getVariant, expose, convert }),
+    [visitorId, getVariant, expose, convert]
+  );
+
+  return (
+    <ExperimentsContext.Provider value={value}>
+      {children}
+    </ExperimentsContext.Provider>
+  );
+};
+
+export default ExperimentsProvider;
@@ -0,0 +1,79 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import ExperimentsProvider from "./ExperimentsProvider";
+import { FeatureFlagsContext } from "../context/FeatureFlagsContext";
+import { useExperiment } from "../hooks/useExperiment";
+import { createMemoryReporter } from "../utils/experiments";
+import { defaultFlags } from "../utils/featureFlags";
+
+describe("ExperimentsProvider", () => {
+  let container;
+  let root;
+  let reporter;
+  let variant;
+
+  // Reads one experiment the way a section does
+  const Probe = () => {
+    variant = useExperiment("heroCopy").variant;
+    return null;
+  };
+
+  // Render the provider with the given flag state
+  const renderWithFlags = (flags) =>
+    act(() =>
+      root.render(
+        <FeatureFlagsContext.Provider
+          value={{
+            flags: { ...defaultFlags, ...flags.flags },
+            remoteLoaded: flags.remoteLoaded,
+            setFlag: () => {},
+            resetFlags: () => {},
+          }}
+        >
+          <ExperimentsProvider reporter={reporter}>
+            <Probe />
+          </ExperimentsProvider>
+        </FeatureFlagsContext.Provider>
+      )
+    );
+
+  beforeEach(() => {
+    container = document.createElement("div");
+    root = createRoot(container);
+    reporter = createMemoryReporter({ log: false });
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    window.localStorage.clear();
+  });
+
+  it("assigns and reports nothing before the remote flags are in", () => {
+    renderWithFlags({ remoteLoaded: false });
+
+    expect(variant).toBe("control");
+    expect(reporter.events).toEqual([]);
+  });
+
+  it("reports one exposure once the remote flags are in", () => {
+    renderWithFlags({ remoteLoaded: false });
+    renderWithFlags({ remoteLoaded: true });
+    renderWithFlags({ remoteLoaded: true });
+
+    expect(reporter.events).toHaveLength(1);
+    expect(reporter.events[0]).toMatchObject({
+      type: "exposure",
+      experiment: "heroCopy",
+      variant,
+    });
+  });
+
+  it("stays on the control without events when the remote file ends experiments", () => {
+    renderWithFlags({ remoteLoaded: false });
+    renderWithFlags({ remoteLoaded: true, flags: { experiments: false } });
+
+    expect(variant).toBe("control");
+    expect(reporter.events).toEqual([]);
+  });
+});
@@ -0,0 +1,89 @@
+// Import React hooks, the feature flag context and helpers
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  FEATURE_FLAGS_STORAGE_KEY,
+  FEATURE_FLAGS_URL,
+  FeatureFlagsContext,
+} from "../context/FeatureFlagsContext";
+import {
+  defaultFlags,
+  fetchRemoteFlags,
+  parseQueryFlags,
+  readStoredFlags,
+  writeStoredFlags,
+} from "../utils/featureFlags";
+
+/**
+ * FeatureFlagsProvider Component
+ *
+ * Owns the app-wide feature flags. Consumers read them through
+ * useFeatureFlags and re-render when the remote file arrives or an
+ * override changes.
+ *
+ * Features:
+ * - Defaults, then the remote flag file, localStorage and the `ff` query
+ *   parameter (later sources win)
+ * - Query overrides are read once on load, so they last for the visit
+ *   even after client-side navigation drops the query string
+ * - Persistent overrides for QA through setFlag/resetFlags
+ * - `remoteLoaded` for setup that must not run on the defaults alone: the
+ *   preloader holds the page until it is true, ScrollSmoother and the A/B
+ *   experiments wait for it
+ */
+const FeatureFlagsProvider = ({ children }) => {
+  const [remoteFlags, setRemoteFlags] = useState({});
+  const [remoteLoaded, setRemoteLoaded] = useState(false);
+  const [storedFlags, setStoredFlags] = useState(() =>
+    readStoredFlags(FEATURE_FLAGS_STORAGE_KEY)
+  );
+  const [queryFlags] = useState(() => parseQueryFlags(window.location.search));
+
+  // Load the remote flag file once
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchRemoteFlags(FEATURE_FLAGS_URL).then((flags) => {
+      if (cancelled) return;
+      setRemoteFlags(flags);
+      setRemoteLoaded(true);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Persist an override (undefined removes it)
+  const setFlag = useCallback((name, value) => {
+    setStoredFlags((current) => {
+      const { [name]: _previous, ...rest } = current;
+      const next = value === undefined ? rest : { ...rest, [name]: value };
+      writeStoredFlags(FEATURE_FLAGS_STORAGE_KEY, next);
+      return next;
+    });
+  }, []);
+
+  // Drop every persisted override
+  const resetFlags = useCallback(() => {
+    writeStoredFlags(FEATURE_FLAGS_STORAGE_KEY, {});
+    setStoredFlags({});
+  }, []);
+
+  const flags = useMemo(
+    () => ({ ...defaultFlags, ...remoteFlags, ...storedFlags, ...queryFlags }),
+    [remoteFlags, storedFlags, queryFlags]
+  );
+
+  const value = useMemo(
+    () => ({ flags, remoteLoaded, setFlag, resetFlags }),
+    [flags, remoteLoaded, setFlag, resetFlags]
+  );
+
+  return (
+    <FeatureFlagsContext.Provider value={value}>
+      {children}
+    </FeatureFlagsContext.Provider>
+  );
+};
+
+export default FeatureFlagsProvider;
@@ -0,0 +1,179 @@
+// Import GSAP plugins, React hooks and shared helpers
+import { useEffect, useRef } from "react";
+import { createPortal } from "react-dom";
+import { Link } from "react-router";
+import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
+import { Flip } from "gsap/all";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { formatMessage } from "../utils/format";
+import { lockScroll } from "../utils/scrollLock";
+
+// Register GSAP Flip plugin for shared-element transitions
+gsap.registerPlugin(Flip);
+
+/**
+ * FlavorOverlay Component
+ *
+ * Full-viewport flavor view that expands in place from a FlavorSlider card.
+ * The card's `${color}-bg.svg` and `${color}-drink.webp` morph into the
+ * overlay layout with GSAP Flip (matched through data-flip-id), and closing
+ * reverses the same timeline so they land back on the card.
+ *
+ * Scroll handling:
+ * - ScrollSmoother is paused while open, so the pinned slider keeps its
+ *   horizontal offset (the x computed from scrollAmount) untouched
+ * - The scroll position recorded on open is restored on close
+ *
+ * Props:
+ * @param {Object} flavor - flavorlists entry to show
+ * @param {Element} sourceCard - The card element the overlay grows from
+ * @param {Function} onClose - Called after the closing morph has finished
+ */
+const FlavorOverlay = ({ flavor, sourceCard, onClose }) => {
+  const { reducedMotion } = useReducedMotion();
+
+  // Link arrow points along the reading direction
+  const { arrows } = useDirection();
+
+  // UI text in the active locale
+  const copy = useContent().ui.flavorCard;
+
+  // Refs for scoped selectors and the morph timeline
+  const overlayRef = useRef();
+  const timelineRef = useRef();
+
+  // Keyboard focus stays inside the dialog while it is open
+  useFocusTrap(overlayRef);
+
+  // Opening morph - runs once when the overlay mounts
+  const { contextSafe } = useGSAP(
+    () => {
+      // Freeze scrolling so the pinned slider offset stays where it was
+      const unlockScroll = lockScroll();
+
+      // Record where the card artwork is, then hand it over to the overlay
+      const sourceImages = sourceCard.querySelectorAll("[data-flip-id]");
+      const state = Flip.getState(sourceImages);
+      gsap.set(sourceImages, { visibility: "hidden" });
+
+      const tl = gsap.timeline();
+
+      tl.fromTo(
+        ".flavor-overlay-backdrop",
+        { opacity: 0 },
+        { opacity: 1, duration: 0.5, ease: "power1.out" }
+      )
+        .add(
+          Flip.from(state, {
+            targets: gsap.utils.toArray("[data-flip-id]", overlayRef.current),
+            duration: 0.8,
+            ease: "power3.inOut",
+          }),
+          0
+        )
+        .from(
+          ".flavor-overlay-info > *",
+          {
+            y: 40, // Rise in from below
+            opacity: 0,
+            stagger: 0.06,
+            duration: 0.4,
+            ease: "power2.out",
+          },
+          "-=0.3"
+        );
+
+      // Reduced motion: jump straight to the open layout
+      if (reducedMotion) tl.progress(1);
+
+      timelineRef.current = tl;
+
+      // Resume scrolling at the exact position the overlay opened from
+      return unlockScroll;
+    },
+    { scope: overlayRef }
+  );
+
+  // Closing morph - the opening timeline played backwards
+  const handleClose = contextSafe(() => {
+    const tl = timelineRef.current;
+
+    if (reducedMotion || !tl) {
+      onClose();
+      return;
+    }
+
+    tl.eventCallback("onReverseComplete", onClose);
+    tl.timeScale(1.4).reverse(); // Closing feels snappier than opening
+  });
+
+  // Close with the Escape key
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") handleClose();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [handleClose]);
+
+  // Rendered into <body> - position: fixed breaks inside #smooth-content
+  return createPortal(
+    <div
+      ref={overlayRef}
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="flavor-overlay-title"
+      tabIndex={-1}
+      className="flavor-overlay"
+    >
+      <div className="flavor-overlay-backdrop" onClick={handleClose} />
+
+      {/* Artwork - morphed from the card with Flip */}
+      <div className="flavor-overlay-art">
+        <img
+          src={`/images/${flavor.color}-bg.svg`}
+          alt=""
+          data-flip-id={`${flavor.slug}-bg`}
+          className="flavor-overlay-bg"
+        />
+        <img
+          src={`/images/${flavor.color}-drink.webp`}
+          alt={formatMessage(copy.can, { name: flavor.name })}
+          data-flip-id={`${flavor.slug}-drink`}
+          className="flavor-overlay-drink"
+        />
+      </div>
+
+      {/* Flavor information */}
+      <div className="flavor-overlay-info">
+        <button
+          type="button"
+          onClick={handleClose}
+          className="flavor-overlay-close"
+        >
+          {copy.close}
+        </button>
+
+        <h2 id="flavor-overlay-title" className="general-title">
+          {flavor.name}
+        </h2>
+
+        <p className="font-paragraph md:text-xl text-lg">
+          {flavor.description}
+        </p>
+
+        <Link to={`/flavors/${flavor.slug}`} className="flavor-overlay-link">
+          {copy.more} <span aria-hidden="true">{arrows.forward}</span>
+        </Link>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default FlavorOverlay;
@@ -1,9 +1,67 @@
-// Import GSAP animation library, React hooks, and constants
-import { useGSAP } from "@gsap/react";
-import { flavorlists } from "../constants";
+// Import GSAP animation library, React hooks, and content
 import gsap from "gsap";
-import { useRef } from "react";
-import { useMediaQuery } from "react-responsive";
+import { Draggable, InertiaPlugin } from "gsap/all";
+import { useId, useRef, useState } from "react";
+import { Link } from "react-router";
+import FlavorOverlay from "./FlavorOverlay";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { formatMessage } from "../utils/format";
+import { reveal } from "../utils/reveal";
+import {
+  getElementScrollPosition,
+  registerSectionAnchors,
+  scrollToSection,
+} from "../utils/sectionScroll";
+
+// Register GSAP plugins for the touch carousel
+gsap.registerPlugin(Draggable, InertiaPlugin);
+
+// Keys that move between flavors, mapped to an index step. Arrow steps
+// are left-to-right and get mirrored in RTL, where the next flavor sits to
+// the left; Home/End jump to the ends of the list either way.
+const KEY_STEPS = {
+  ArrowLeft: -1,
+  ArrowRight: 1,
+  Home: -Infinity,
+  End: Infinity,
+};
+
+/**
+ * Find the progress at which an ease curve reaches a value (bisection)
+ *
+ * @param {Function} ease - Parsed GSAP ease
+ * @param {number} value - Eased value between 0 and 1
+ * @returns {number} - Linear progress between 0 and 1
+ */
+const invertEase = (ease, value) => {
+  let low = 0;
+  let high = 1;
+
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (ease(mid) < value) low = mid;
+    else high = mid;
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Index of the value closest to a target
+ *
+ * @param {number[]} values - Candidate values
+ * @param {number} target - Value to compare against
+ * @returns {number} - Index of the closest value
+ */
+const closestIndex = (values, target) =>
+  values.reduce(
+    (best, value, index) =>
+      Math.abs(value - target) < Math.abs(values[best] - target) ? index : best,
+    0
+  );
 
 /**
  * FlavorSlider Component
@@ -15,8 +73,14 @@ import { useMediaQuery } from "react-responsive";
  * - Horizontal scroll animation (desktop only)
  * - Pinned section during scroll for immersive experience
  * - Title parallax effects synchronized with FlavorTitle
- * - Responsive design (disabled horizontal scroll on tablet/mobile)
+ * - Swipeable carousel on tablet/mobile (Draggable + Inertia, snaps per flavor)
+ * - Arrow/Home/End keys and focused cards move to the matching flavor
+ * - Pagination dots showing the current flavor
  * - Dynamic scroll calculation based on content width
+ * - Deep-link anchors per flavor (`#flavors/<slug>`), keyed by the
+ *   enclosing section's id so every instance keeps its own
+ * - Cards expand in place into a FlavorOverlay (shared-element Flip);
+ *   modified clicks still follow the card link to `/flavors/<slug>`
  *
  * Animation Coordination:
  * - Uses same trigger (".flavor-section") as FlavorTitle for synchronized effects
@@ -27,105 +91,383 @@ const FlavorSlider = () => {
   // Ref to access the slider container for scroll width calculations
   const sliderRef = useRef();
 
-  // Media query to detect tablet/mobile devices
-  const isTablet = useMediaQuery({
-    query: "(max-width: 1024px)",
-  });
-
-  // GSAP animation setup
-  useGSAP(() => {
-    // Calculate how much the slider needs to scroll horizontally
-    const scrollAmount = sliderRef.current.scrollWidth - window.innerWidth;
-
-    // Desktop-only horizontal scroll animation
-    if (!isTablet) {
-      // Create horizontal scroll timeline with pinning
-      const tl = gsap.timeline({
-        scrollTrigger: {
-          trigger: ".flavor-section", // Same trigger as FlavorTitle for coordination
-          start: "2% top", // Animation starts when section top is 2% from viewport top
-          end: `+=${scrollAmount + 1500}px`, // Extend scroll distance by 1500px for smooth transition
-          scrub: true, // Animation is tied to scroll position
-          pin: true, // Pin the section during scroll for immersive effect
-        },
-      });
+  const { reducedMotion } = useReducedMotion();
+
+  // Flavors and UI text in the active locale (slugs and order are the same
+  // everywhere)
+  const {
+    flavors: { items: flavorlists },
+    ui,
+  } = useContent();
 
-      // Move the entire section horizontally to create scroll effect
-      tl.to(".flavor-section", {
-        x: `-${scrollAmount + 1500}px`, // Move left by calculated amount + buffer
-        ease: "power1.inOut",
+  // Horizontal scroll and parallax run towards the inline end (left in RTL)
+  const { dir, x, sign, inlineOffset } = useDirection();
+
+  // Flavor currently in view (drives the pagination dots)
+  const [activeIndex, setActiveIndex] = useState(0);
+  const activeIndexRef = useRef(0);
+  activeIndexRef.current = activeIndex;
+
+  // Carousel navigation for the current breakpoint (null when flavors are
+  // reached by scrolling), and whether the last press turned into a drag
+  const navigateRef = useRef(null);
+  const wasDraggedRef = useRef(false);
+
+  // Flavor currently expanded in the overlay ({ flavor, card } or null)
+  const [expanded, setExpanded] = useState(null);
+
+  // Open the overlay from a card, unless the user asked for a new tab/window
+  const handleCardClick = (event, flavor) => {
+    // A swipe on the carousel is not a click
+    if (wasDraggedRef.current) {
+      event.preventDefault();
+      return;
+    }
+
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    event.preventDefault();
+    setExpanded({ flavor, card: event.currentTarget });
+  };
+
+  // The enclosing FlavorSection instance (pinned and moved on desktop,
+  // shared trigger with its FlavorTitle), or the slider when used alone
+  const getSection = () =>
+    sliderRef.current.closest(".flavor-section") ?? sliderRef.current;
+
+  // Key for this instance's deep-link anchors: the enclosing section's id
+  // (`#<id>/<slug>`), or a generated one for a slider used alone, so two
+  // sliders never overwrite each other's resolver
+  const fallbackId = useId();
+  const getSectionId = () => getSection().id || fallbackId;
+
+  // Find a flavor card by its slug
+  const getCard = (slug) =>
+    sliderRef.current.querySelector(`[data-flavor="${CSS.escape(slug)}"]`);
+
+  // Deep-link anchors when cards are stacked (reduced motion)
+  const registerStackedAnchors = () =>
+    registerSectionAnchors(getSectionId(), (slug) => {
+      const card = getCard(slug);
+      return card ? getElementScrollPosition(card) : null;
+    });
+
+  // Show a flavor: slide the carousel, or scroll the page to its anchor
+  // (the pinned slider on desktop, the stacked card with reduced motion)
+  const goTo = (index) => {
+    const target = gsap.utils.clamp(0, flavorlists.length - 1, index);
+    setActiveIndex(target);
+
+    if (navigateRef.current) {
+      navigateRef.current(target);
+    } else {
+      scrollToSection(getSectionId(), {
+        anchor: flavorlists[target].slug,
+        smooth: !reducedMotion,
       });
     }
 
-    // Create title parallax timeline (works on all devices)
-    const titleTl = gsap.timeline({
-      scrollTrigger: {
-        trigger: ".flavor-section", // Same trigger as FlavorTitle for coordination
-        start: "top top", // Animation starts when section top reaches viewport top
-        end: "bottom 80%", // Animation ends when section bottom reaches 80% of viewport
-        scrub: true, // Animation is tied to scroll position
+    return target;
+  };
+
+  // Arrow keys step through the flavors (along the reading direction, like
+  // the arrows shown and the scroll) and keep focus on the shown card
+  const handleKeyDown = (event) => {
+    const keyStep = KEY_STEPS[event.key];
+    if (!keyStep) return;
+
+    const step = Number.isFinite(keyStep) ? keyStep * sign : keyStep;
+
+    event.preventDefault();
+
+    const current = flavorlists.findIndex(
+      (flavor) => flavor.slug === event.target.dataset?.flavor
+    );
+    const target = goTo(
+      (current < 0 ? activeIndexRef.current : current) + step
+    );
+
+    getCard(flavorlists[target].slug).focus({ preventScroll: true });
+  };
+
+  // Keyboard focus on a card brings it into view (mouse focus does not,
+  // so a click can expand the card where it is)
+  const handleCardFocus = (event, index) => {
+    if (event.currentTarget.matches(":focus-visible")) goTo(index);
+  };
+
+  // Tablet/mobile: cards in a single row, swiped with momentum and snapped
+  // so one flavor sits centered
+  const buildCarousel = () => {
+    const slider = sliderRef.current;
+    const track = slider.querySelector(".flavors");
+    const cards = gsap.utils.toArray("[data-flavor]", track);
+
+    gsap.set(slider, { overflowX: "clip", minHeight: "auto" });
+    gsap.set(track, { flexDirection: "row" });
+
+    // Track positions that center each card in the slider
+    const snapPoints = cards.map(
+      (card) =>
+        slider.clientWidth / 2 -
+        (card.offsetLeft - track.offsetLeft + card.offsetWidth / 2)
+    );
+
+    // Start on the flavor that was active before a breakpoint change
+    gsap.set(track, { x: snapPoints[activeIndexRef.current] });
+
+    const [draggable] = Draggable.create(track, {
+      type: "x",
+      inertia: true, // Momentum after release
+      edgeResistance: 0.85,
+      // Snap points decrease in LTR and increase in RTL
+      bounds: { minX: Math.min(...snapPoints), maxX: Math.max(...snapPoints) },
+      snap: { x: snapPoints }, // Always come to rest on a flavor
+      onPress: () => (wasDraggedRef.current = false),
+      onDragStart: () => (wasDraggedRef.current = true),
+      onThrowComplete() {
+        setActiveIndex(closestIndex(snapPoints, this.x));
       },
     });
 
-    // Create parallax effect by moving title elements at different speeds
-    titleTl
-      .to(".first-text-split", {
-        xPercent: -30, // Move "We have 6" left by 30%
-        ease: "power1.inOut",
-      })
-      .to(
-        ".flavor-text-scroll",
-        {
-          xPercent: -22, // Move "freaking" left by 22% (starts at same time as previous)
-          ease: "power1.inOut",
+    navigateRef.current = (index) =>
+      gsap.to(track, {
+        x: snapPoints[index],
+        duration: 0.6,
+        ease: "power3.out",
+        overwrite: true, // Cancel any throw still in progress
+        onUpdate: () => draggable.update(),
+      });
+
+    // Deep links scroll to the slider and slide the carousel to the flavor
+    const unregisterAnchors = registerSectionAnchors(getSectionId(), (slug) => {
+      const index = flavorlists.findIndex((flavor) => flavor.slug === slug);
+      if (index < 0) return null;
+
+      setActiveIndex(index);
+      navigateRef.current(index);
+      return getElementScrollPosition(slider);
+    });
+
+    return () => {
+      draggable.kill();
+      navigateRef.current = null;
+      unregisterAnchors();
+    };
+  };
+
+  // GSAP animation setup, scoped to this slider
+  useSectionAnimation(
+    {
+      animation: {
+        // Desktop-only horizontal scroll animation (tablet/mobile stack cards)
+        desktop: () => {
+          const section = getSection();
+
+          // Calculate how much the slider needs to scroll horizontally
+          const scrollAmount =
+            sliderRef.current.scrollWidth - window.innerWidth;
+
+          // Horizontal offsets at which each card is centered in the viewport
+          const cardOffsets = flavorlists.map((flavor) => {
+            const card = getCard(flavor.slug);
+            return (
+              inlineOffset(card) - (window.innerWidth - card.offsetWidth) / 2
+            );
+          });
+
+          // Create horizontal scroll timeline with pinning
+          const tl = gsap.timeline({
+            scrollTrigger: {
+              trigger: section, // Same trigger as FlavorTitle for coordination
+              start: "2% top", // Animation starts when section top is 2% from viewport top
+              end: `+=${scrollAmount + 1500}px`, // Extend scroll distance by 1500px for smooth transition
+              scrub: true, // Animation is tied to scroll position
+              pin: true, // Pin the section during scroll for immersive effect
+              // Track the card closest to the center for the pagination dots
+              onUpdate: () =>
+                setActiveIndex(
+                  closestIndex(
+                    cardOffsets,
+                    -sign * gsap.getProperty(section, "x")
+                  )
+                ),
+            },
+          });
+
+          // Move the entire section horizontally to create scroll effect
+          tl.to(section, {
+            x: x(`-${scrollAmount + 1500}px`), // Move left (right in RTL) by calculated amount + buffer
+            ease: "power1.inOut",
+          })
+            // Counter-move the dots so they stay in place on screen
+            .to(
+              ".flavor-dots",
+              { x: x(`${scrollAmount + 1500}px`), ease: "power1.inOut" },
+              "<"
+            );
+
+          // Deep-link anchors (`#<section id>/<slug>`): the scroll position
+          // inside the pin where the card sits centered in the viewport
+          const distance = scrollAmount + 1500;
+          const ease = gsap.parseEase("power1.inOut");
+
+          return registerSectionAnchors(getSectionId(), (slug) => {
+            const card = getCard(slug);
+            if (!card) return null;
+
+            // Horizontal offset that centers the card, within the tween range
+            const targetX = gsap.utils.clamp(
+              0,
+              distance,
+              inlineOffset(card) - (window.innerWidth - card.offsetWidth) / 2
+            );
+
+            // Map the eased offset back to scroll progress along the pin
+            const progress = invertEase(ease, targetX / distance);
+            const { start, end } = tl.scrollTrigger;
+            return start + progress * (end - start);
+          });
         },
-        "<" // Start at the same time as previous animation
-      )
-      .to(
-        ".second-text-split",
-        {
-          xPercent: -10, // Move "delicious flavors" left by 10% (starts at same time as previous)
-          ease: "power1.inOut",
+
+        // Swipeable carousel on touch-sized screens
+        tablet: buildCarousel,
+        mobile: buildCarousel,
+
+        // Title parallax (works on all devices)
+        all: () => {
+          const section = getSection();
+
+          // Title elements of the same FlavorSection, outside the slider
+          const q = gsap.utils.selector(section);
+
+          // Create title parallax timeline
+          const titleTl = gsap.timeline({
+            scrollTrigger: {
+              trigger: section, // Same trigger as FlavorTitle for coordination
+              start: "top top", // Animation starts when section top reaches viewport top
+              end: "bottom 80%", // Animation ends when section bottom reaches 80% of viewport
+              scrub: true, // Animation is tied to scroll position
+            },
+          });
+
+          // Create parallax effect by moving title elements at different
+          // speeds, all at the same time
+          reveal(q(".first-text-split"), "parallaxX", {
+            timeline: titleTl,
+            dir,
+            xPercent: -30, // Move "We have 6" left by 30%
+            ease: "power1.inOut",
+          });
+          reveal(q(".flavor-text-scroll"), "parallaxX", {
+            timeline: titleTl,
+            position: "<",
+            dir,
+            xPercent: -22, // Move "freaking" left by 22%
+            ease: "power1.inOut",
+          });
+          reveal(q(".second-text-split"), "parallaxX", {
+            timeline: titleTl,
+            position: "<",
+            dir,
+            xPercent: -10, // Move "delicious flavors" left by 10%
+            ease: "power1.inOut",
+          });
         },
-        "<" // Start at the same time as previous animation
-      );
-  });
+      },
+      // Reduced motion: no pinning or horizontal scroll - stack every card
+      // under the title so all flavors are reachable with native scrolling
+      reduced: () => {
+        gsap.set(getSection().firstElementChild, { flexDirection: "column" });
+        gsap.set(".flavors", { flexDirection: "column" });
+
+        return registerStackedAnchors();
+      },
+    },
+    [],
+    { scope: sliderRef }
+  );
 
   return (
     <div ref={sliderRef} className="slider-wrapper">
-      <div className="flavors">
+      {/* Focused cards are scrolled into view by goTo, not ScrollSmoother */}
+      <div
+        className="flavors"
+        data-focus-scroll="manual"
+        onKeyDown={handleKeyDown}
+      >
         {/* Map through flavor data to create individual flavor cards */}
-        {flavorlists.map((flavor) => (
-          <div
-            key={flavor.name}
-            className={`relative z-30 lg:w-[50vw] w-96 lg:h-[70vh] md:w-[90vw] md:h-[50vh] h-80 flex-none ${flavor.rotation}`}
+        {flavorlists.map((flavor, index) => (
+          <Link
+            key={flavor.slug}
+            to={`/flavors/${flavor.slug}`}
+            aria-label={formatMessage(ui.flavorCard.view, {
+              name: flavor.name,
+            })}
+            data-flavor={flavor.slug}
+            onClick={(event) => handleCardClick(event, flavor)}
+            onFocus={(event) => handleCardFocus(event, index)}
+            className={`block relative z-30 lg:w-[50vw] w-96 lg:h-[70vh] md:w-[90vw] md:h-[50vh] h-80 flex-none ${flavor.rotation}`}
           >
             {/* Background SVG with flavor-specific color */}
             <img
               src={`/images/${flavor.color}-bg.svg`}
-              alt="flavor-bg"
+              alt="" // Decorative - the link is labelled
+              data-flip-id={`${flavor.slug}-bg`}
               className="absolute bottom-0"
             />
 
             {/* Main product image (drink bottle) */}
             <img
               src={`/images/${flavor.color}-drink.webp`}
-              alt="flavor-drink"
+              alt=""
+              data-flip-id={`${flavor.slug}-drink`}
               className="drinks"
             />
 
             {/* Decorative elements (particles, effects) */}
             <img
               src={`/images/${flavor.color}-elements.webp`}
-              alt="flavor-elements"
+              alt=""
               className="elements"
             />
 
             {/* Flavor name text */}
-            <h1>{flavor.name}</h1>
-          </div>
+            <h3>{flavor.name}</h3>
+          </Link>
         ))}
       </div>
+
+      {/* Pagination dots */}
+      <div
+        role="group"
+        aria-label={ui.flavorCard.choose}
+        className="flavor-dots"
+      >
+        {flavorlists.map((flavor, index) => (
+          <button
+            key={flavor.slug}
+            type="button"
+            aria-label={formatMessage(ui.flavorCard.show, {
+              name: flavor.name,
+            })}
+            aria-current={index === activeIndex ? "true" : undefined}
+            onClick={() => goTo(index)}
+            className="flavor-dot"
+          />
+        ))}
+      </div>
+
+      {/* Expanded flavor view */}
+      {expanded && (
+        <FlavorOverlay
+          flavor={expanded.flavor}
+          sourceCard={expanded.card}
+          onClose={() => setExpanded(null)}
+        />
+      )}
     </div>
   );
 };
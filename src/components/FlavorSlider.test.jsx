@@ -0,0 +1,76 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { MemoryRouter } from "react-router";
+import { afterEach, describe, expect, it } from "vitest";
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/all";
+import FlavorSlider from "./FlavorSlider";
+import { LocaleContext } from "../context/LocaleContext";
+
+// Registered by App in the running site
+gsap.registerPlugin(ScrollTrigger);
+
+describe("FlavorSlider keyboard navigation", () => {
+  let container;
+  let root;
+
+  // Mount a slider in the given text direction
+  const mountSlider = async (dir) => {
+    container = document.body.appendChild(document.createElement("div"));
+    root = createRoot(container);
+
+    await act(async () => {
+      root.render(
+        <LocaleContext.Provider
+          value={{ locale: "en", dir, locales: [], setLocale: () => {} }}
+        >
+          <MemoryRouter>
+            <FlavorSlider />
+          </MemoryRouter>
+        </LocaleContext.Provider>
+      );
+    });
+
+    // Let the queued ScrollTrigger refresh run - re-pinning the slider
+    // while a card has focus would drop it
+    await act(() => new Promise((resolve) => requestAnimationFrame(resolve)));
+
+    return [...container.querySelectorAll("[data-flavor]")];
+  };
+
+  // Press a key on a card and return the card that has focus afterwards
+  const press = async (card, key) => {
+    await act(async () => {
+      card.dispatchEvent(
+        new KeyboardEvent("keydown", { key, bubbles: true, cancelable: true })
+      );
+    });
+    return document.activeElement;
+  };
+
+  afterEach(async () => {
+    await act(async () => root.unmount());
+    container.remove();
+  });
+
+  it("moves to the next flavor with ArrowRight in LTR", async () => {
+    const cards = await mountSlider("ltr");
+
+    expect(await press(cards[0], "ArrowRight")).toBe(cards[1]);
+    expect(await press(cards[1], "ArrowLeft")).toBe(cards[0]);
+  });
+
+  it("moves to the next flavor with ArrowLeft in RTL", async () => {
+    const cards = await mountSlider("rtl");
+
+    expect(await press(cards[0], "ArrowLeft")).toBe(cards[1]);
+    expect(await press(cards[1], "ArrowRight")).toBe(cards[0]);
+  });
+
+  it("jumps to the ends of the list with Home and End in either direction", async () => {
+    const cards = await mountSlider("rtl");
+
+    expect(await press(cards[0], "End")).toBe(cards[cards.length - 1]);
+    expect(await press(cards[cards.length - 1], "Home")).toBe(cards[0]);
+  });
+});
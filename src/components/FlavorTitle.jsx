@@ -1,8 +1,14 @@
-// Import GSAP animation library and React hooks
-import { useGSAP } from "@gsap/react";
-import gsap from "gsap";
-import { SplitText } from "gsap/all";
+// Import React hooks and the reveal presets
+import { useRef } from "react";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
 import { useFontsLoaded } from "../hooks/useFontsLoaded";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { getRevealStyle, reveal, revealEnd } from "../utils/reveal";
+
+// "freaking" grows from the inline start - shared by the animation, its
+// hidden markup and the reduced-motion state
+const FREAKING_REVEAL = { direction: "start" };
 
 /**
  * FlavorTitle Component
@@ -23,77 +29,97 @@ import { useFontsLoaded } from "../hooks/useFontsLoaded";
  * - Responsive spacing and typography
  */
 const FlavorTitle = () => {
+  // Ref for scoped GSAP selectors
+  const titleRef = useRef();
+
+  // Title copy from the content file
+  const {
+    locale,
+    flavors: { title },
+  } = useContent();
+
+  // "freaking" is revealed from the inline start (the right in RTL)
+  const { dir } = useDirection();
+
   // Custom hook to check if fonts are loaded before starting animations
   const fontsLoaded = useFontsLoaded();
 
   // GSAP animation setup - runs when fonts are loaded
-  useGSAP(() => {
-    // Exit early if fonts aren't loaded yet to prevent layout shift
-    if (!fontsLoaded) return;
+  useSectionAnimation(
+    {
+      animation: () => {
+        // Exit early if fonts aren't loaded yet to prevent layout shift
+        if (!fontsLoaded) return;
 
-    // Split text elements into individual characters for animation
-    const firstTextSplit = SplitText.create(".first-text-split h1", {
-      type: "chars", // Split "We have 6" into individual characters
-    });
-    const secondTextSplit = SplitText.create(".second-text-split h1", {
-      type: "chars", // Split "delicious flavors" into individual characters
-    });
+        // The enclosing FlavorSection instance (shared trigger with its
+        // FlavorSlider), or the title itself when used on its own
+        const section =
+          titleRef.current.closest(".flavor-section") ?? titleRef.current;
 
-    // Animate first part of title: "We have 6" slides up from below
-    gsap.from(firstTextSplit.chars, {
-      yPercent: 200, // Start 200% below final position
-      stagger: 0.02, // 0.02s delay between each character
-      ease: "power1.inOut",
-      scrollTrigger: {
-        trigger: ".flavor-section", // Same trigger as FlavorSlider for coordination
-        start: "top 30%", // Animation starts when section top reaches 30% of viewport
-      },
-    });
+        // "We have 6" slides up from below
+        reveal(".first-text-split > span", "charRise", {
+          trigger: section, // Same trigger as FlavorSlider for coordination
+          start: "top 30%", // Animation starts when section top reaches 30% of viewport
+          ease: "power1.inOut",
+        });
 
-    // Animate "freaking" text reveal using clip-path
-    gsap.to(".flavor-text-scroll", {
-      duration: 1,
-      clipPath: "polygon(0% 0%, 100% 0%, 100% 100%, 0% 100%)", // Reveals full element
-      scrollTrigger: {
-        trigger: ".flavor-section", // Same trigger as FlavorSlider for coordination
-        start: "top 10%", // Animation starts when section top reaches 10% of viewport
-      },
-    });
+        // "freaking" is revealed from the inline start
+        reveal(".flavor-text-scroll", "clipReveal", {
+          ...FREAKING_REVEAL,
+          dir,
+          trigger: section, // Same trigger as FlavorSlider for coordination
+          start: "top 10%", // Animation starts when section top reaches 10% of viewport
+        });
 
-    // Animate second part of title: "delicious flavors" slides up from below
-    gsap.from(secondTextSplit.chars, {
-      yPercent: 200, // Start 200% below final position
-      stagger: 0.02, // 0.02s delay between each character
-      ease: "power1.inOut",
-      scrollTrigger: {
-        trigger: ".flavor-section", // Same trigger as FlavorSlider for coordination
-        start: "top 1%", // Animation starts when section top reaches 1% of viewport
+        // "delicious flavors" slides up from below
+        reveal(".second-text-split > span", "charRise", {
+          trigger: section, // Same trigger as FlavorSlider for coordination
+          start: "top 1%", // Animation starts when section top reaches 1% of viewport
+          ease: "power1.inOut",
+        });
       },
-    });
-  }, [fontsLoaded]); // Re-run when fontsLoaded changes
+      // Reduced motion: "freaking" box fully revealed, no character splits
+      reduced: () => {
+        revealEnd(".flavor-text-scroll", "clipReveal", {
+          ...FREAKING_REVEAL,
+          dir,
+        });
+      },
+    },
+    [fontsLoaded, locale], // Re-run when fonts load or the copy changes
+    { scope: titleRef }
+  );
 
   return (
-    <div className="general-title col-center h-full 2xl:gap-32 xl:gap-24 gap-16">
+    // The three parts read as a single heading
+    <div
+      ref={titleRef}
+      role="heading"
+      aria-level={2}
+      className="general-title col-center h-full 2xl:gap-32 xl:gap-24 gap-16"
+    >
       {/* First part of title: "We have 6" with overflow hidden for slide animation */}
       <div className="overflow-hidden 2xl:py-0 py-3 first-text-split">
-        <h1>We have 6</h1>
+        <span key={locale} className="block">
+          {title.lead}
+        </span>
       </div>
 
       {/* "freaking" text with clip-path animation - starts hidden */}
       <div
-        style={{
-          clipPath: "polygon(0 0, 0 0, 0 100%, 0% 100%)", // Creates a thin vertical line (hidden)
-        }}
+        style={getRevealStyle("clipReveal", { ...FREAKING_REVEAL, dir })} // A thin vertical line (hidden)
         className="flavor-text-scroll"
       >
         <div className="bg-mid-brown pb-5 2xl:pt-0 pt-3 2xl:px-5 px-3">
-          <h2 className="text-milk">freaking</h2>
+          <span className="block text-milk">{title.highlight}</span>
         </div>
       </div>
 
       {/* Second part of title: "delicious flavors" with overflow hidden for slide animation */}
       <div className="overflow-hidden 2xl:py-0 py-3 second-text-split">
-        <h1>delicious flavors</h1>
+        <span key={locale} className="block">
+          {title.tail}
+        </span>
       </div>
     </div>
   );
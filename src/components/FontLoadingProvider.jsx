@@ -0,0 +1,143 @@
+// Import React hooks and font loading context
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  FONT_FAMILIES,
+  FONT_LOADING_TIMEOUT,
+  FontLoadingContext,
+} from "../context/FontLoadingContext";
+
+/**
+ * Create a promise together with its resolve function
+ */
+const createDeferred = () => {
+  let resolve;
+  const promise = new Promise((res) => {
+    resolve = res;
+  });
+  return { promise, resolve };
+};
+
+/**
+ * Initial status for every tracked family
+ */
+const createInitialStatus = () =>
+  Object.fromEntries(
+    Object.keys(FONT_FAMILIES).map((name) => [name, "loading"])
+  );
+
+/**
+ * FontLoadingProvider Component
+ *
+ * Owns the one and only web font detection pass for the page. Every section
+ * that gates GSAP work on fonts reads the shared result, so they all flip to
+ * "ready" at the same moment.
+ *
+ * Features:
+ * - Uses the Font Loading API (document.fonts.load) per family when available
+ * - Falls back to polling document.fonts.check for partial implementations
+ * - Assumes fonts are loaded after 1 second when no API is available
+ * - Safety timeout (3 seconds) that releases the page and flags timedOut
+ *   while a family is still loading
+ * - Promise-style whenReady() for code that prefers to await fonts
+ */
+const FontLoadingProvider = ({ children }) => {
+  // Per-family status and timeout flag
+  const [fonts, setFonts] = useState(createInitialStatus);
+  const [timedOut, setTimedOut] = useState(false);
+
+  // Deferred promise resolved once fonts are ready (created once per mount)
+  const [ready] = useState(createDeferred);
+
+  // Single detection pass - runs once on mount
+  useEffect(() => {
+    let cancelled = false;
+    const timers = [];
+
+    // Update one family's status (ignored after unmount)
+    const settle = (name, status) => {
+      if (cancelled) return;
+      setFonts((current) => ({ ...current, [name]: status }));
+    };
+
+    const families = Object.entries(FONT_FAMILIES);
+
+    if (document.fonts && document.fonts.load) {
+      // Modern browsers: request each family and track it individually
+      families.forEach(([name, font]) => {
+        document.fonts
+          .load(font)
+          .then((faces) => settle(name, faces.length ? "loaded" : "failed"))
+          .catch(() => settle(name, "failed"));
+      });
+    } else if (document.fonts && document.fonts.check) {
+      // Partial Font Loading API support: poll each family every 100ms
+      families.forEach(([name, font]) => {
+        const checkFont = () => {
+          if (document.fonts.check(font)) {
+            settle(name, "loaded");
+          } else if (!cancelled) {
+            timers.push(setTimeout(checkFont, 100));
+          }
+        };
+        checkFont();
+      });
+    } else {
+      // No font checking available: wait 1 second and assume fonts are loaded
+      // This prevents infinite waiting on very old browsers
+      timers.push(
+        setTimeout(() => {
+          families.forEach(([name]) => settle(name, "loaded"));
+        }, 1000)
+      );
+    }
+
+    // Cleanup timers and ignore late promise results on unmount
+    return () => {
+      cancelled = true;
+      timers.forEach(clearTimeout);
+    };
+  }, []);
+
+  // Derived loading state
+  const statuses = Object.values(fonts);
+  const settledCount = statuses.filter((status) => status !== "loading").length;
+  const progress = statuses.length ? settledCount / statuses.length : 1;
+  const allSettled = settledCount === statuses.length;
+  const fontsLoaded = timedOut || allSettled;
+
+  // Safety timeout to prevent infinite waiting - cleared as soon as every
+  // family has settled, so timedOut only flags a real timeout
+  useEffect(() => {
+    if (allSettled) return;
+
+    const timer = setTimeout(() => setTimedOut(true), FONT_LOADING_TIMEOUT);
+    return () => clearTimeout(timer);
+  }, [allSettled]);
+
+  // Resolve whenReady() consumers once fonts are ready
+  useEffect(() => {
+    if (fontsLoaded) ready.resolve();
+  }, [fontsLoaded, ready]);
+
+  // Stable accessor so effects can depend on it without re-running
+  const whenReady = useCallback(() => ready.promise, [ready]);
+
+  const value = useMemo(
+    () => ({
+      fontsLoaded,
+      fonts,
+      progress,
+      timedOut,
+      whenReady,
+    }),
+    [fontsLoaded, fonts, progress, timedOut, whenReady]
+  );
+
+  return (
+    <FontLoadingContext.Provider value={value}>
+      {children}
+    </FontLoadingContext.Provider>
+  );
+};
+
+export default FontLoadingProvider;
@@ -0,0 +1,104 @@
+// Import React hooks, locale context and the validated content files
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { DEFAULT_LOCALE, getContent, locales } from "../content";
+import { ContentContext } from "../context/ContentContext";
+import { LOCALE_STORAGE_KEY, LocaleContext } from "../context/LocaleContext";
+import { scheduleScrollRefresh } from "../utils/scrollRefresh";
+
+// Switcher entries, default locale first
+const localeOptions = Object.values(locales)
+  .map(({ locale, localeName }) => ({ code: locale, name: localeName }))
+  .sort((a, b) =>
+    a.code === DEFAULT_LOCALE ? -1 : b.code === DEFAULT_LOCALE ? 1 : 0
+  );
+
+/**
+ * Read the persisted locale, guarding against blocked storage
+ */
+const readStoredLocale = () => {
+  try {
+    const stored = window.localStorage.getItem(LOCALE_STORAGE_KEY);
+    return stored in locales ? stored : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * First browser language we have content for ("es-MX" matches "es")
+ */
+const detectBrowserLocale = () => {
+  const languages = navigator.languages?.length
+    ? navigator.languages
+    : [navigator.language];
+
+  return (
+    languages
+      .map((language) => language?.split("-")[0].toLowerCase())
+      .find((code) => code in locales) ?? null
+  );
+};
+
+/**
+ * LocaleProvider Component
+ *
+ * Owns the active locale and provides the matching content to the page.
+ *
+ * Features:
+ * - Detects the locale from the browser languages
+ * - User choice (LocaleSwitcher) persisted in localStorage
+ * - Mirrors the locale on <html lang> and its direction on <html dir>
+ * - Re-measures ScrollTriggers after the copy changes, since pinned
+ *   lengths depend on text length
+ */
+const LocaleProvider = ({ children }) => {
+  // Explicit choice wins over the browser languages
+  const [locale, setLocaleState] = useState(
+    () => readStoredLocale() ?? detectBrowserLocale() ?? DEFAULT_LOCALE
+  );
+
+  const content = getContent(locale);
+  const dir = content.direction;
+
+  // Expose the language to assistive technology and hyphenation, then
+  // re-measure: sections that split text rebuild through their `locale`
+  // dependency, this refresh also covers pins whose copy got longer
+  useEffect(() => {
+    document.documentElement.lang = locale;
+    document.documentElement.dir = dir;
+    scheduleScrollRefresh();
+  }, [locale, dir]);
+
+  // Switch and persist the locale
+  const setLocale = useCallback((nextLocale) => {
+    if (!(nextLocale in locales)) return;
+
+    setLocaleState(nextLocale);
+
+    try {
+      window.localStorage.setItem(LOCALE_STORAGE_KEY, nextLocale);
+    } catch {
+      // Storage can be unavailable (private mode) - keep the in-memory value
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({ locale, dir, locales: localeOptions, setLocale }),
+    [locale, dir, setLocale]
+  );
+
+  return (
+    <LocaleContext.Provider value={value}>
+      <ContentContext.Provider value={content}>
+        {/* The direction is also set here, in the same commit as the new
+            copy: sections measure their layout in layout effects, which
+            run before the <html dir> effect above */}
+        <div dir={dir} className="contents">
+          {children}
+        </div>
+      </ContentContext.Provider>
+    </LocaleContext.Provider>
+  );
+};
+
+export default LocaleProvider;
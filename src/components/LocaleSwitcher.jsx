@@ -0,0 +1,35 @@
+// Import locale and content hooks
+import { useContent } from "../hooks/useContent";
+import { useLocale } from "../hooks/useLocale";
+
+/**
+ * LocaleSwitcher Component
+ *
+ * Language picker in the navigation. The choice is persisted by
+ * LocaleProvider and overrides the browser languages.
+ */
+const LocaleSwitcher = () => {
+  const { locale, locales, setLocale } = useLocale();
+  const { ui } = useContent();
+
+  // Nothing to switch between
+  if (locales.length < 2) return null;
+
+  return (
+    <label className="locale-switcher">
+      <span className="sr-only">{ui.language}</span>
+      <select
+        value={locale}
+        onChange={(event) => setLocale(event.target.value)}
+      >
+        {locales.map(({ code, name }) => (
+          <option key={code} value={code} lang={code}>
+            {name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
+
+export default LocaleSwitcher;
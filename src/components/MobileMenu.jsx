@@ -0,0 +1,133 @@
+// Import GSAP, React hooks and navigation data
+import { useEffect, useRef } from "react";
+import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
+import { ScrollSmoother } from "gsap/all";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { useSections } from "../hooks/useSections";
+
+/**
+ * MobileMenu Component
+ *
+ * Full-screen overlay version of the section navigation used on mobile.
+ * The overlay grows out of the menu button with a circular clip-path and
+ * the links rise in with a stagger; closing reverses the same timeline.
+ * While open, keyboard focus stays inside the overlay and returns to the
+ * menu button on close.
+ *
+ * Props:
+ * @param {boolean} open - Whether the overlay is shown
+ * @param {Function} onClose - Called to request closing (Escape key)
+ * @param {string} activeId - Id of the section currently in view
+ * @param {Function} onNavigate - Link click handler (event, sectionId)
+ */
+const MobileMenu = ({ open, onClose, activeId, onNavigate }) => {
+  const { reducedMotion } = useReducedMotion();
+  const { ui } = useContent();
+  const { navLinks } = useSections();
+
+  // The menu button sits at the inline end (top left in RTL)
+  const { dir, clipPath } = useDirection();
+
+  // Refs for scoped selectors and the reusable open/close timeline
+  const overlayRef = useRef();
+  const timelineRef = useRef();
+
+  // Build the paused open timeline once per motion mode
+  useGSAP(
+    () => {
+      timelineRef.current = gsap
+        .timeline({ paused: true })
+        .fromTo(
+          overlayRef.current,
+          { clipPath: clipPath("circle(0% at 100% 0%)") }, // Collapsed at the menu button
+          {
+            clipPath: clipPath("circle(150% at 100% 0%)"), // Covers the whole viewport
+            duration: reducedMotion ? 0 : 0.7,
+            ease: "power2.inOut",
+          }
+        )
+        .from(
+          ".mobile-menu-link",
+          {
+            yPercent: reducedMotion ? 0 : 100, // Rise in from below
+            opacity: 0,
+            stagger: reducedMotion ? 0 : 0.05,
+            duration: reducedMotion ? 0 : 0.4,
+            ease: "power2.out",
+          },
+          reducedMotion ? 0 : "-=0.3"
+        );
+    },
+    {
+      dependencies: [reducedMotion, dir],
+      scope: overlayRef,
+      revertOnUpdate: true,
+    }
+  );
+
+  // Play or reverse on open changes and pause smooth scrolling underneath
+  useEffect(() => {
+    const timeline = timelineRef.current;
+    if (open) {
+      // Shown up front so the focus trap below can move focus in (hidden
+      // elements can't take focus); closed, the collapsed clip-path and
+      // `inert` keep it out of sight and reach
+      gsap.set(overlayRef.current, { autoAlpha: 1 });
+      timeline?.play();
+    } else {
+      timeline?.reverse();
+    }
+
+    ScrollSmoother.get()?.paused(open);
+
+    // Never leave scrolling paused if the menu unmounts while open
+    return () => ScrollSmoother.get()?.paused(false);
+  }, [open]);
+
+  // Keyboard focus stays inside the overlay while it is open
+  useFocusTrap(overlayRef, open);
+
+  // Close with the Escape key
+  useEffect(() => {
+    if (!open) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") onClose();
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [open, onClose]);
+
+  return (
+    <nav
+      ref={overlayRef}
+      id="mobile-menu"
+      aria-label={ui.sectionsNav}
+      className="mobile-menu"
+      aria-hidden={!open}
+      inert={!open}
+    >
+      <ul>
+        {navLinks.map((link) => (
+          <li key={link.id} className="overflow-hidden">
+            <a
+              href={`/#${link.id}`}
+              className="mobile-menu-link"
+              aria-current={activeId === link.id ? "true" : undefined}
+              onClick={(event) => onNavigate(event, link.id)}
+            >
+              {link.label}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+};
+
+export default MobileMenu;
@@ -0,0 +1,65 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import MobileMenu from "./MobileMenu";
+
+describe("MobileMenu focus trap", () => {
+  let container;
+  let root;
+  let menuButton;
+
+  // Render the menu next to the button that toggles it, as NavBar does
+  const renderMenu = (open) =>
+    act(async () => {
+      root.render(
+        <MobileMenu
+          open={open}
+          onClose={() => {}}
+          activeId="hero"
+          onNavigate={(event) => event.preventDefault()}
+        />
+      );
+    });
+
+  // Dispatch Tab on the focused element
+  const pressTab = (shiftKey = false) =>
+    document.activeElement.dispatchEvent(
+      new KeyboardEvent("keydown", { key: "Tab", shiftKey, bubbles: true })
+    );
+
+  beforeEach(async () => {
+    menuButton = document.body.appendChild(document.createElement("button"));
+    container = document.body.appendChild(document.createElement("div"));
+    root = createRoot(container);
+
+    menuButton.focus();
+    await renderMenu(false);
+  });
+
+  afterEach(async () => {
+    await act(async () => root.unmount());
+    container.remove();
+    menuButton.remove();
+  });
+
+  it("moves focus into the overlay and wraps Tab at both ends", async () => {
+    await renderMenu(true);
+
+    const links = [...container.querySelectorAll(".mobile-menu-link")];
+    expect(links.length).toBeGreaterThan(1);
+    expect(document.activeElement).toBe(links[0]);
+
+    pressTab(true);
+    expect(document.activeElement).toBe(links[links.length - 1]);
+
+    pressTab();
+    expect(document.activeElement).toBe(links[0]);
+  });
+
+  it("returns focus to the menu button on close", async () => {
+    await renderMenu(true);
+    await renderMenu(false);
+
+    expect(document.activeElement).toBe(menuButton);
+  });
+});
@@ -0,0 +1,28 @@
+// Import reduced-motion preference and content hooks
+import { useContent } from "../hooks/useContent";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+
+/**
+ * MotionToggle Component
+ *
+ * User-facing switch for the page-wide reduced-motion mode. The choice is
+ * persisted by ReducedMotionProvider and overrides the system setting.
+ */
+const MotionToggle = () => {
+  const { reducedMotion, toggleReducedMotion } = useReducedMotion();
+  const { ui } = useContent();
+
+  return (
+    <button
+      type="button"
+      role="switch"
+      aria-checked={reducedMotion}
+      onClick={toggleReducedMotion}
+      className="motion-toggle"
+    >
+      {reducedMotion ? ui.motionOff : ui.motionOn}
+    </button>
+  );
+};
+
+export default MotionToggle;
@@ -1,8 +1,147 @@
-const NavBar = () => {
+// Import React hooks, GSAP and child components
+import { useCallback, useRef, useState } from "react";
+import { Link, useLocation, useNavigate } from "react-router";
+import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
+import { useBreakpoint } from "../hooks/useBreakpoint";
+import { useContent } from "../hooks/useContent";
+import { usePreloader } from "../hooks/usePreloader";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { useSections } from "../hooks/useSections";
+import { scrollToSection } from "../utils/sectionScroll";
+import LocaleSwitcher from "./LocaleSwitcher";
+import MobileMenu from "./MobileMenu";
+import MotionToggle from "./MotionToggle";
+
+/**
+ * NavBar Component
+ *
+ * Fixed navigation with links to every page section. Links scroll through
+ * ScrollSmoother (using pin-aware section markers) and the section in view
+ * is highlighted. On mobile the links collapse into a full-screen overlay.
+ *
+ * Features:
+ * - Links to the enabled home page sections in page order (useSections),
+ *   labelled in the active locale
+ * - Active section highlight (aria-current)
+ * - Staggered entrance once the preloader hands off
+ * - Full-screen overlay menu on mobile (MobileMenu)
+ * - Reduced-motion switch (MotionToggle) and language picker
+ *   (LocaleSwitcher)
+ *
+ * Props:
+ * @param {string} [activeId] - Id of the section in view (home page only)
+ */
+const NavBar = ({ activeId }) => {
+  const navRef = useRef();
+
+  const isMobile = useBreakpoint() === "mobile";
+  const { ready } = usePreloader();
+  const { reducedMotion } = useReducedMotion();
+  const { ui } = useContent();
+  const { navLinks } = useSections();
+
+  // Mobile overlay state
+  const [menuOpen, setMenuOpen] = useState(false);
+  const closeMenu = useCallback(() => setMenuOpen(false), []);
+
+  // Routing - section links on other pages go back to the home page
+  const { pathname } = useLocation();
+  const navigate = useNavigate();
+
+  // Scroll to a section instead of jumping to the native anchor
+  const handleNavigate = (event, id) => {
+    event.preventDefault();
+    setMenuOpen(false);
+
+    // Other pages: load the home page and let deep linking scroll there
+    if (pathname !== "/") {
+      navigate(`/#${id}`);
+      return;
+    }
+
+    scrollToSection(id, { smooth: !reducedMotion });
+  };
+
+  // Staggered entrance of the desktop links after the preloader
+  useGSAP(
+    () => {
+      if (!ready || reducedMotion) return;
+
+      gsap.from(".nav-link", {
+        yPercent: -150, // Drop in from above
+        opacity: 0,
+        stagger: 0.05,
+        duration: 0.5,
+        ease: "power2.out",
+        delay: 1, // Matches the hero intro delay
+      });
+    },
+    { dependencies: [ready, isMobile], scope: navRef }
+  );
+
   return (
-    <nav className="fixed top-0 left-0 z-50 md:p-9 p-3">
-      <img src="/images/nav-logo.svg" alt="nav-logo" className="md:w-24 w-20" />
-    </nav>
+    <header
+      ref={navRef}
+      className="fixed top-0 left-0 z-50 w-full flex justify-between items-center md:p-9 p-3"
+    >
+      <Link to="/" aria-label={ui.homeLink}>
+        <img
+          src="/images/nav-logo.svg"
+          alt="" // The link is labelled
+          className="md:w-24 w-20"
+        />
+      </Link>
+
+      <div className="flex items-center gap-3">
+        {/* Inline section links (tablet and desktop) */}
+        {!isMobile && (
+          <nav aria-label={ui.sectionsNav}>
+            <ul className="nav-links">
+              {navLinks.map((link) => (
+                <li key={link.id} className="overflow-hidden">
+                  <a
+                    href={`/#${link.id}`}
+                    className="nav-link"
+                    aria-current={activeId === link.id ? "true" : undefined}
+                    onClick={(event) => handleNavigate(event, link.id)}
+                  >
+                    {link.label}
+                  </a>
+                </li>
+              ))}
+            </ul>
+          </nav>
+        )}
+
+        {/* Language and reduced-motion switches - persisted per visitor */}
+        <LocaleSwitcher />
+        <MotionToggle />
+
+        {/* Overlay menu button (mobile) */}
+        {isMobile && (
+          <button
+            type="button"
+            className="menu-btn"
+            aria-expanded={menuOpen}
+            aria-controls="mobile-menu"
+            onClick={() => setMenuOpen((open) => !open)}
+          >
+            {menuOpen ? ui.menuClose : ui.menuOpen}
+          </button>
+        )}
+      </div>
+
+      {/* Full-screen overlay menu (mobile) */}
+      {isMobile && (
+        <MobileMenu
+          open={menuOpen}
+          onClose={closeMenu}
+          activeId={activeId}
+          onNavigate={handleNavigate}
+        />
+      )}
+    </header>
   );
 };
 
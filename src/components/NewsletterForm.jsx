@@ -0,0 +1,163 @@
+// Import GSAP, React hooks and newsletter helpers
+import { useId, useRef, useState } from "react";
+import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
+import { useContent } from "../hooks/useContent";
+import { useExperiment } from "../hooks/useExperiment";
+import { useNewsletterSignup } from "../hooks/useNewsletterSignup";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { defaultNewsletterAdapter } from "../utils/newsletter";
+
+/**
+ * NewsletterForm Component
+ *
+ * The "Get Exclusive Early Access" lead-capture form in the footer.
+ *
+ * Features:
+ * - Accessible form with label, aria-invalid and a live status message
+ * - Client-side email validation before submitting
+ * - Pluggable submission adapter (local mock in dev, HTTP when configured)
+ * - Rate limiting of repeat submits
+ * - Double opt-in messaging on success
+ * - Disabled "sign-ups closed" state when no adapter is configured
+ * - GSAP state animations: spinning arrow while submitting, shake on
+ *   invalid/error, message slide-in for every new state
+ * - Label and button copy A/B tested ("newsletterCopy"), signups reported
+ *   as conversions
+ *
+ * Props:
+ * @param {Object|null} [adapter] - Submission adapter ({ subscribe(email) }),
+ *   null when signups are closed
+ */
+const NewsletterForm = ({ adapter = defaultNewsletterAdapter }) => {
+  const [email, setEmail] = useState("");
+  const { status, message, submit } = useNewsletterSignup(adapter);
+  const { reducedMotion } = useReducedMotion();
+
+  // Refs for scoped GSAP selectors (and the experiment exposure)
+  const formRef = useRef();
+
+  // Copy from the content file, with the visitor's A/B variant applied
+  const { copy: variantCopy, trackConversion } = useExperiment(
+    "newsletterCopy",
+    { ref: formRef }
+  );
+  const copy = { ...useContent().footer.newsletter, ...variantCopy };
+
+  // Unique ids for label/description wiring
+  const inputId = useId();
+  const messageId = useId();
+
+  const isInvalid = status === "invalid";
+  const isSubmitting = status === "submitting";
+  const isUnavailable = status === "unavailable";
+
+  // Animate every state change
+  useGSAP(
+    () => {
+      if (reducedMotion) return;
+
+      // Arrow spins while the request is in flight
+      if (isSubmitting) {
+        gsap.to(".newsletter-arrow", {
+          rotate: 360,
+          duration: 0.8,
+          ease: "none",
+          repeat: -1,
+        });
+      }
+
+      // Shake the field when the address is rejected or the request failed
+      if (status === "invalid" || status === "error") {
+        gsap.fromTo(
+          ".newsletter-field",
+          { x: 0 },
+          {
+            keyframes: { x: [0, -10, 10, -6, 6, 0] },
+            duration: 0.4,
+            ease: "power1.inOut",
+          }
+        );
+      }
+
+      // Slide the status message in from below
+      if (message) {
+        gsap.from(".newsletter-message", {
+          yPercent: 100,
+          opacity: 0,
+          duration: 0.4,
+          ease: "power2.out",
+        });
+      }
+    },
+    {
+      dependencies: [status, message, reducedMotion],
+      scope: formRef,
+      revertOnUpdate: true, // Stop the spinner when the status changes
+    }
+  );
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+
+    // Clear the field once the address has been accepted
+    if ((await submit(email)) === "success") {
+      setEmail("");
+      trackConversion("newsletter-signup");
+    }
+  };
+
+  return (
+    <form ref={formRef} noValidate onSubmit={handleSubmit}>
+      <label htmlFor={inputId}>{copy.label}</label>
+
+      {/* Email input with styled border and submit arrow */}
+      <div className="newsletter-field flex justify-between items-center border-b border-[#D9D9D9] py-5 md:mt-10">
+        <input
+          id={inputId}
+          type="email"
+          name="email"
+          autoComplete="email"
+          placeholder={copy.placeholder}
+          value={email}
+          onChange={(event) => setEmail(event.target.value)}
+          disabled={isUnavailable}
+          aria-invalid={isInvalid}
+          aria-describedby={messageId}
+          className="w-full bg-transparent placeholder:font-sans placeholder:text-[#999999]"
+        />
+        <button
+          type="submit"
+          disabled={isSubmitting || isUnavailable}
+          aria-busy={isSubmitting}
+          className={`shrink-0 ${
+            isUnavailable
+              ? "cursor-not-allowed opacity-50"
+              : "cursor-pointer disabled:cursor-wait"
+          }`}
+        >
+          <img
+            src="/images/arrow.svg"
+            alt={copy.submit}
+            className="newsletter-arrow"
+          />
+        </button>
+      </div>
+
+      {/* Status message - announced politely to screen readers */}
+      <div className="overflow-hidden mt-4 min-h-7">
+        <p
+          id={messageId}
+          role="status"
+          aria-live="polite"
+          data-status={status}
+          className="newsletter-message"
+        >
+          {message}
+        </p>
+      </div>
+    </form>
+  );
+};
+
+export default NewsletterForm;
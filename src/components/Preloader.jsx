@@ -0,0 +1,136 @@
+// Import GSAP, React hooks and shared loading state
+import { useRef, useState } from "react";
+import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
+import { useContent } from "../hooks/useContent";
+import { usePreloader } from "../hooks/usePreloader";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+
+/**
+ * Preloader Component
+ *
+ * Branded full-screen loader shown until critical assets and fonts are
+ * ready. The progress bar follows the real loaded percentage and the panel
+ * wipes upward to hand off to the hero intro timeline.
+ *
+ * Features:
+ * - Live percentage driven by PreloaderProvider (bytes, items and fonts)
+ * - Screen readers hear only the start and the finish, not every step
+ * - Idle logo pulse while loading
+ * - Clip-path exit wipe, panel removed from the DOM once finished
+ * - Instant exit without animation in reduced-motion mode
+ */
+const Preloader = () => {
+  const { progress, ready } = usePreloader();
+  const { reducedMotion } = useReducedMotion();
+  const { ui } = useContent();
+
+  // Panel removed from the DOM after the exit animation completes
+  const [visible, setVisible] = useState(true);
+
+  // Refs for scoped GSAP selectors
+  const containerRef = useRef();
+  const barRef = useRef();
+
+  // Idle pulse on the logo while assets stream in
+  useGSAP(
+    () => {
+      if (reducedMotion) return;
+
+      gsap.to(".preloader-logo", {
+        scale: 1.08, // Gentle breathing effect
+        duration: 0.8,
+        ease: "sine.inOut",
+        yoyo: true,
+        repeat: -1,
+      });
+    },
+    { dependencies: [reducedMotion], scope: containerRef, revertOnUpdate: true }
+  );
+
+  // Progress bar follows the loaded percentage
+  useGSAP(
+    () => {
+      gsap.to(barRef.current, {
+        scaleX: progress,
+        duration: reducedMotion ? 0 : 0.4,
+        ease: "power1.out",
+        overwrite: true, // Always chase the latest value
+      });
+    },
+    { dependencies: [progress, reducedMotion], scope: containerRef }
+  );
+
+  // Exit wipe once critical assets and fonts are ready
+  useGSAP(
+    () => {
+      if (!ready) return;
+
+      // Reduced motion: remove the loader immediately
+      if (reducedMotion) {
+        setVisible(false);
+        return;
+      }
+
+      gsap
+        .timeline({ onComplete: () => setVisible(false) })
+        .to(".preloader-content", {
+          yPercent: -50, // Lift the logo and counter out
+          opacity: 0,
+          duration: 0.5,
+          ease: "power1.in",
+        })
+        .to(containerRef.current, {
+          clipPath: "polygon(0% 0%, 100% 0%, 100% 0%, 0% 0%)", // Wipe panel upward
+          duration: 0.8,
+          ease: "circ.inOut",
+        });
+    },
+    { dependencies: [ready], scope: containerRef }
+  );
+
+  // Loading status for assistive tech - outlives the panel so the finish
+  // is still announced when the panel goes away at once (reduced motion)
+  const status = (
+    <p role="status" className="sr-only">
+      {ready ? ui.preloader.ready : ui.preloader.loading}
+    </p>
+  );
+
+  if (!visible) return status;
+
+  return (
+    <>
+      {status}
+
+      <div
+        ref={containerRef}
+        style={{
+          clipPath: "polygon(0% 0%, 100% 0%, 100% 100%, 0% 100%)", // Fully covering
+        }}
+        className="preloader"
+      >
+        <div className="preloader-content">
+          {/* Brand logo with idle pulse */}
+          <img
+            src="/images/nav-logo.svg"
+            alt="Spylt"
+            className="preloader-logo"
+          />
+
+          {/* Loaded percentage - visual only, the status above speaks */}
+          <p aria-hidden="true" className="preloader-count">
+            {Math.round(progress * 100)}%
+          </p>
+
+          {/* Progress bar - scaled horizontally by GSAP */}
+          <div className="preloader-track">
+            <div ref={barRef} className="preloader-bar" />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Preloader;
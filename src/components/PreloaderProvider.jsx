@@ -0,0 +1,198 @@
+// Import React hooks, preloader helpers and shared state
+import { useEffect, useMemo, useState } from "react";
+import {
+  CRITICAL_ASSET_TIMEOUT,
+  PreloaderContext,
+} from "../context/PreloaderContext";
+import { useFontLoading } from "../hooks/useFontsLoaded";
+import { useBreakpoint } from "../hooks/useBreakpoint";
+import { useFeatureFlags } from "../hooks/useFeatureFlags";
+import { buildAssetManifest } from "../utils/assetManifest";
+import { loadAssets } from "../utils/assetLoader";
+
+/**
+ * PreloaderProvider Component
+ *
+ * Loads the asset manifest (derived from constants plus section media) in
+ * two phases and shares the progress with the loader UI and HeroSection.
+ *
+ * Phases:
+ * 1. Critical - first-fold media, tracked byte by byte. Together with the
+ *    fonts this drives the loader percentage and the `ready` hand-off.
+ * 2. Deferred - everything below the fold, loaded in page order after the
+ *    hand-off with low priority and item-level progress only.
+ *
+ * Byte progress is flushed at most once per animation frame so streaming
+ * chunks never re-render the page more often than it paints.
+ *
+ * The hand-off also waits for the remote feature flags (the file gives up
+ * after a few seconds), so flag-dependent setup - the hero media,
+ * ScrollSmoother, experiments - is settled before the page is revealed.
+ */
+const PreloaderProvider = ({ children }) => {
+  const { fontsLoaded, progress: fontProgress, fonts } = useFontLoading();
+
+  // Manifest is built once the remote flags are in (they pick the hero
+  // media), for the breakpoint the page renders at that point
+  const breakpoint = useBreakpoint();
+  const {
+    flags: { heroVideo, newHero },
+    remoteLoaded,
+  } = useFeatureFlags();
+  const [manifest, setManifest] = useState(null);
+  if (remoteLoaded && !manifest) {
+    setManifest(buildAssetManifest(breakpoint, { heroVideo, newHero }));
+  }
+
+  // Per-asset state for critical entries: { loaded, total, status }
+  const [critical, setCritical] = useState({});
+  const [criticalSettled, setCriticalSettled] = useState(false);
+  const [timedOut, setTimedOut] = useState(false);
+  const [deferredLoaded, setDeferredLoaded] = useState(0);
+
+  const criticalAssets = useMemo(
+    () => (manifest ?? []).filter((asset) => asset.critical),
+    [manifest]
+  );
+  const deferredAssets = useMemo(
+    () => (manifest ?? []).filter((asset) => !asset.critical),
+    [manifest]
+  );
+
+  const criticalReady = criticalSettled || timedOut;
+
+  // Phase 1: critical assets with byte progress
+  useEffect(() => {
+    if (!manifest) return;
+
+    const controller = new AbortController();
+    const pending = {};
+    let frameId = null;
+
+    // Merge buffered updates into state once per frame
+    const flush = () => {
+      frameId = null;
+      const updates = { ...pending };
+      Object.keys(pending).forEach((src) => delete pending[src]);
+      setCritical((current) => {
+        const next = { ...current };
+        Object.entries(updates).forEach(([src, update]) => {
+          next[src] = { ...next[src], ...update };
+        });
+        return next;
+      });
+    };
+
+    const queueUpdate = (src, update) => {
+      pending[src] = { ...pending[src], ...update };
+      if (frameId === null) frameId = requestAnimationFrame(flush);
+    };
+
+    loadAssets(criticalAssets, {
+      signal: controller.signal,
+      onAssetProgress: (src, loaded, total) =>
+        queueUpdate(src, { loaded, total }),
+      onAssetSettled: (src, status) => queueUpdate(src, { status }),
+    }).then(() => {
+      if (!controller.signal.aborted) setCriticalSettled(true);
+    });
+
+    return () => {
+      controller.abort();
+      if (frameId !== null) cancelAnimationFrame(frameId);
+    };
+  }, [manifest, criticalAssets]);
+
+  // Safety timeout so a stalled video never blocks the intro - cleared as
+  // soon as every critical asset has settled
+  useEffect(() => {
+    if (criticalSettled) return;
+
+    const timeoutId = setTimeout(
+      () => setTimedOut(true),
+      CRITICAL_ASSET_TIMEOUT
+    );
+    return () => clearTimeout(timeoutId);
+  }, [criticalSettled]);
+
+  // Phase 2: deferred assets once the critical phase is over
+  useEffect(() => {
+    if (!criticalReady) return;
+
+    const controller = new AbortController();
+
+    loadAssets(deferredAssets, {
+      signal: controller.signal,
+      concurrency: 2, // Leave bandwidth for media the page is already playing
+      onAssetProgress: () => {},
+      onAssetSettled: () => setDeferredLoaded((count) => count + 1),
+    });
+
+    return () => controller.abort();
+  }, [criticalReady, deferredAssets]);
+
+  // Aggregate critical asset progress
+  const entries = criticalAssets.map((asset) => critical[asset.src] || {});
+  const loadedItems = entries.filter((entry) => entry.status).length;
+  const loadedBytes = entries.reduce(
+    (sum, entry) => sum + (entry.loaded || 0),
+    0
+  );
+  const totalBytes = entries.reduce(
+    (sum, entry) => sum + (entry.total || 0),
+    0
+  );
+
+  // Every asset and every font family counts as one unit of progress;
+  // streaming assets contribute their byte fraction until they settle
+  const assetUnits = entries.reduce((sum, entry) => {
+    if (entry.status) return sum + 1;
+    return sum + (entry.total ? entry.loaded / entry.total : 0);
+  }, 0);
+  const fontCount = Object.keys(fonts).length;
+  const unitCount = entries.length + fontCount;
+  const ready = remoteLoaded && criticalReady && fontsLoaded;
+  const progress = ready
+    ? 1
+    : unitCount
+    ? (assetUnits + fontProgress * fontCount) / unitCount
+    : 0;
+
+  const totalItems = criticalAssets.length;
+  const deferredTotal = deferredAssets.length;
+
+  // Stable value - consumers only re-render when a field changes
+  const value = useMemo(
+    () => ({
+      progress,
+      loadedItems,
+      totalItems,
+      loadedBytes,
+      totalBytes,
+      criticalReady,
+      ready,
+      timedOut,
+      deferred: { loaded: deferredLoaded, total: deferredTotal },
+    }),
+    [
+      progress,
+      loadedItems,
+      totalItems,
+      loadedBytes,
+      totalBytes,
+      criticalReady,
+      ready,
+      timedOut,
+      deferredLoaded,
+      deferredTotal,
+    ]
+  );
+
+  return (
+    <PreloaderContext.Provider value={value}>
+      {children}
+    </PreloaderContext.Provider>
+  );
+};
+
+export default PreloaderProvider;
@@ -0,0 +1,114 @@
+// Import React hooks and reduced-motion context
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  REDUCED_MOTION_QUERY,
+  REDUCED_MOTION_STORAGE_KEY,
+  ReducedMotionContext,
+} from "../context/ReducedMotionContext";
+
+/**
+ * Read the persisted user preference, guarding against blocked storage
+ */
+const readStoredPreference = () => {
+  try {
+    const stored = window.localStorage.getItem(REDUCED_MOTION_STORAGE_KEY);
+    return stored === "reduce" || stored === "no-preference"
+      ? stored
+      : "system";
+  } catch {
+    return "system";
+  }
+};
+
+/**
+ * Read the current operating system reduced-motion setting
+ */
+const readSystemPreference = () =>
+  typeof window.matchMedia === "function" &&
+  window.matchMedia(REDUCED_MOTION_QUERY).matches;
+
+/**
+ * ReducedMotionProvider Component
+ *
+ * Owns the page-wide reduced-motion mode. Sections read it through
+ * useReducedMotion/useSectionAnimation and swap to their static variants.
+ *
+ * Features:
+ * - Detects `prefers-reduced-motion` and follows live changes
+ * - User-facing override persisted in localStorage
+ * - Mirrors the active mode on <html data-reduced-motion> for CSS
+ */
+const ReducedMotionProvider = ({ children }) => {
+  // System setting and user override are tracked separately
+  const [systemReducedMotion, setSystemReducedMotion] =
+    useState(readSystemPreference);
+  const [preference, setPreferenceState] = useState(readStoredPreference);
+
+  // Keep the system setting in sync when the OS preference changes
+  useEffect(() => {
+    if (typeof window.matchMedia !== "function") return;
+
+    const mediaQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = (event) => setSystemReducedMotion(event.matches);
+
+    mediaQuery.addEventListener("change", handleChange);
+    return () => mediaQuery.removeEventListener("change", handleChange);
+  }, []);
+
+  // Resolve the effective mode: explicit user choice wins over the system
+  const reducedMotion =
+    preference === "system" ? systemReducedMotion : preference === "reduce";
+
+  // Expose the active mode to CSS (native scrolling, paused CSS animations)
+  useEffect(() => {
+    document.documentElement.toggleAttribute(
+      "data-reduced-motion",
+      reducedMotion
+    );
+  }, [reducedMotion]);
+
+  // Update and persist the user override ("system" clears it)
+  const setPreference = useCallback((nextPreference) => {
+    setPreferenceState(nextPreference);
+
+    try {
+      if (nextPreference === "system") {
+        window.localStorage.removeItem(REDUCED_MOTION_STORAGE_KEY);
+      } else {
+        window.localStorage.setItem(REDUCED_MOTION_STORAGE_KEY, nextPreference);
+      }
+    } catch {
+      // Storage can be unavailable (private mode) - keep the in-memory value
+    }
+  }, []);
+
+  // Flip between reduced and full motion from the current effective mode
+  const toggleReducedMotion = useCallback(() => {
+    setPreference(reducedMotion ? "no-preference" : "reduce");
+  }, [reducedMotion, setPreference]);
+
+  const value = useMemo(
+    () => ({
+      reducedMotion,
+      systemReducedMotion,
+      preference,
+      setPreference,
+      toggleReducedMotion,
+    }),
+    [
+      reducedMotion,
+      systemReducedMotion,
+      preference,
+      setPreference,
+      toggleReducedMotion,
+    ]
+  );
+
+  return (
+    <ReducedMotionContext.Provider value={value}>
+      {children}
+    </ReducedMotionContext.Provider>
+  );
+};
+
+export default ReducedMotionProvider;
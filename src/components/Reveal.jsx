@@ -0,0 +1,38 @@
+// Import the reveal hook and presets
+import { useDirection } from "../hooks/useDirection";
+import { useReveal } from "../hooks/useReveal";
+import { getRevealStyle } from "../utils/reveal";
+
+/**
+ * Reveal Component
+ *
+ * Renders an element revealed with a preset from utils/reveal.js when it
+ * scrolls into view. Starts in the preset's hidden state, so it doesn't
+ * flash before the animation is built.
+ *
+ * Props:
+ * @param {string} preset - Preset name, e.g. "clipReveal" or "charRise"
+ * @param {string|React.ElementType} [as] - Element to render (default div)
+ * @param {Object} [reveal] - Per-instance overrides: preset settings
+ *   (direction, fade, color), ScrollTrigger settings (start, end, scrub)
+ *   and tween vars (duration, ease, delay, stagger)
+ * @param {Object} [style] - Inline styles, merged over the hidden state
+ *
+ * Usage:
+ *   <Reveal preset="clipReveal" reveal={{ direction: "start" }}>…</Reveal>
+ */
+const Reveal = ({ preset, as = "div", reveal, style, ...props }) => {
+  const Element = as;
+  const { dir } = useDirection();
+  const ref = useReveal(preset, reveal);
+
+  return (
+    <Element
+      ref={ref}
+      style={{ ...getRevealStyle(preset, { ...reveal, dir }), ...style }}
+      {...props}
+    />
+  );
+};
+
+export default Reveal;
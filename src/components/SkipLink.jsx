@@ -0,0 +1,30 @@
+// Import content hook for the link text
+import { useContent } from "../hooks/useContent";
+
+/**
+ * SkipLink Component
+ *
+ * First focusable element on every page: hidden until focused, then jumps
+ * past the navigation to the page's <main id="main-content">. Focusing
+ * main also brings it on screen through ScrollSmoother's focus handling.
+ */
+const SkipLink = () => {
+  const { ui } = useContent();
+
+  const handleClick = (event) => {
+    const main = document.getElementById("main-content");
+    if (!main) return;
+
+    // Move focus without changing the hash (deep links own the hash)
+    event.preventDefault();
+    main.focus();
+  };
+
+  return (
+    <a href="#main-content" className="skip-link" onClick={handleClick}>
+      {ui.skipToContent}
+    </a>
+  );
+};
+
+export default SkipLink;
@@ -0,0 +1,144 @@
+// Import routing, content, the media manager and formatting helpers
+import { Link } from "react-router";
+import { useContent } from "../hooks/useContent";
+import { useManagedVideo } from "../hooks/useManagedVideo";
+import { pauseMedia, playMedia } from "../utils/mediaManager";
+import { formatMessage, formatMonth } from "../utils/format";
+
+/**
+ * Star rating out of 5, announced as text
+ *
+ * @param {number} rating - Stars from 0 to 5
+ * @param {string} label - Rating text template ("Rated {rating} out of 5")
+ */
+const StarRating = ({ rating, label }) => (
+  <p
+    className="testimonial-rating"
+    aria-label={formatMessage(label, { rating })}
+  >
+    <span aria-hidden="true">
+      {"★".repeat(rating)}
+      <span className="opacity-30">{"★".repeat(5 - rating)}</span>
+    </span>
+  </p>
+);
+
+/**
+ * TestimonialCard Component
+ *
+ * One card of the TestimonialSection. Cards with a playable video hold a
+ * button that previews on hover and opens the lightbox; the reviewer's
+ * avatar, name and quote sit over the video. Cards without a video (or
+ * whose video failed to load) render as a written review with rating,
+ * quote, location, favourite flavor and date - each only when the card
+ * has it. The outer `.vd-card` element stays the same in both cases so
+ * scroll animations keep their target.
+ *
+ * Props:
+ * @param {Object} card - cards entry
+ * @param {string|null} videoSrc - Selected preview source, null for a
+ *   written review
+ * @param {Function} cardRef - Ref callback for the `.vd-card` element
+ * @param {Function} onOpen - Open the lightbox
+ * @param {Function} onVideoError - The video failed to load
+ */
+const TestimonialCard = ({ card, videoSrc, cardRef, onOpen, onVideoError }) => {
+  // Preview video - source attached near the viewport, played on hover
+  const { ref, videoRef } = useManagedVideo({ src: videoSrc, autoplay: false });
+
+  const handleOpen = () => {
+    pauseMedia(videoRef.current); // The lightbox plays it with sound
+    onOpen();
+  };
+
+  // Reviewer avatar and name, shared by both variants - phrasing
+  // content only, as it also sits inside the video button
+  const author = (
+    <span className="testimonial-author">
+      <img src={card.img} alt="" className="testimonial-avatar" />
+      <span>
+        <span className="block font-bold">{card.name}</span>
+        {card.location && (
+          <span className="block text-sm">{card.location}</span>
+        )}
+      </span>
+    </span>
+  );
+
+  // Favourite flavor and UI text in the active locale
+  const { locale, flavors, testimonials, ui } = useContent();
+  const flavor = flavors.items.find((item) => item.slug === card.flavor);
+
+  return (
+    <div
+      ref={cardRef} // Origin for the lightbox transition
+      className={`vd-card ${card.translation ?? ""} ${card.rotation}`} // Apply dynamic positioning and rotation
+    >
+      {videoSrc ? (
+        <button
+          type="button"
+          aria-label={formatMessage(ui.testimonial.watch, { name: card.name })}
+          aria-haspopup="dialog"
+          className="testimonial-video"
+          onMouseEnter={() => playMedia(videoRef.current)} // Play video on hover
+          onMouseLeave={() => pauseMedia(videoRef.current)} // Pause video when hover ends
+          onClick={handleOpen} // Open the lightbox player
+        >
+          {/* Testimonial video preview */}
+          <video
+            ref={ref} // Managed by the media manager
+            playsInline // Prevent fullscreen on mobile
+            muted // Start muted for autoplay compatibility
+            loop // Loop the video continuously
+            onError={onVideoError} // Switch to the written review
+            className="size-full object-cover"
+          />
+
+          {/* Reviewer details over the video */}
+          <span className="testimonial-overlay">
+            {card.quote && (
+              <span className="testimonial-quote">“{card.quote}”</span>
+            )}
+            {author}
+          </span>
+        </button>
+      ) : (
+        // Written review fallback
+        <article
+          className="testimonial-text-card"
+          aria-label={formatMessage(ui.testimonial.review, { name: card.name })}
+        >
+          {card.rating != null && (
+            <StarRating rating={card.rating} label={ui.testimonial.rating} />
+          )}
+
+          {card.quote && (
+            <blockquote className="testimonial-quote">
+              “{card.quote}”
+            </blockquote>
+          )}
+
+          {flavor && (
+            <p className="text-sm">
+              {testimonials.favourite}:{" "}
+              <Link to={`/flavors/${flavor.slug}`} className="underline">
+                {flavor.name}
+              </Link>
+            </p>
+          )}
+
+          <div className="mt-auto">
+            {author}
+            {card.date && (
+              <time dateTime={card.date} className="testimonial-date">
+                {formatMonth(card.date, locale)}
+              </time>
+            )}
+          </div>
+        </article>
+      )}
+    </div>
+  );
+};
+
+export default TestimonialCard;
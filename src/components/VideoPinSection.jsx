@@ -1,7 +1,36 @@
-// Import GSAP animation library and React hooks
-import { useGSAP } from "@gsap/react";
+// Import GSAP animation library, React hooks and media sources
 import gsap from "gsap";
-import { useMediaQuery } from "react-responsive";
+import { useRef, useState } from "react";
+import { mediaSources } from "../constants";
+import AdaptiveVideo from "./AdaptiveVideo";
+import VideoPlayer from "./VideoPlayer";
+import { useContent } from "../hooks/useContent";
+import { useFeatureFlag } from "../hooks/useFeatureFlags";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { formatMessage } from "../utils/format";
+import { reveal } from "../utils/reveal";
+
+/**
+ * Pinned circular reveal used on desktop and tablet
+ *
+ * @param {HTMLElement} section - The section root (pinned and trigger)
+ */
+const buildCircleReveal = (section) => {
+  // Start as a small circle - set here so the breakpoint switch reverts it
+  gsap.set(".video-box", {
+    clipPath: "circle(6% at 50% 50%)",
+  });
+
+  // Pin the section while the circle expands (starts when the section is
+  // 15% above the viewport top)
+  const tl = reveal(section, "pinScrub", { start: "-15% top" });
+
+  // Animate circular clip-path expansion
+  tl.to(".video-box", {
+    clipPath: "circle(100% at 50% 50%)", // Expand from small circle to full circle
+    ease: "power1.inOut",
+  });
+};
 
 /**
  * VideoPinSection Component
@@ -16,55 +45,60 @@ import { useMediaQuery } from "react-responsive";
  * - Circular clip-path reveal animation (desktop only)
  * - Auto-playing video background
  * - Spinning decorative elements
- * - Play button overlay
+ * - Play button opening the full-length brand film in a VideoPlayer, shown
+ *   only once the content file provides `benefits.brandFilm`
  * - Responsive design (full circle on mobile, animated on desktop)
  *
  * Animation:
  * - Desktop: Starts as small circle (6%) and expands to full circle (100%)
  * - Mobile: Always shows full circle for better performance
+ * - `circleReveal` flag off: full circle without pinning on every device
  */
 const VideoPinSection = () => {
-  // Media query to detect mobile devices
-  const isMobile = useMediaQuery({
-    query: "(max-width: 768px)",
-  });
+  // Ref for scoped GSAP selectors
+  const sectionRef = useRef();
 
-  // GSAP animation setup (desktop only)
-  useGSAP(() => {
-    // Skip animation on mobile for better performance
-    if (!isMobile) {
-      // Create timeline for circular reveal animation
-      const tl = gsap.timeline({
-        scrollTrigger: {
-          trigger: ".vd-pin-section", // Element that triggers the animation
-          start: "-15% top", // Animation starts when section is 15% above viewport top
-          end: "200% top", // Animation ends when user scrolls 200% of viewport height
-          scrub: 1.5, // Smooth scrubbing tied to scroll position
-          pin: true, // Pin the section during scroll for immersive effect
-        },
-      });
+  // Ref to the play button the player grows out of
+  const playBtnRef = useRef();
 
-      // Animate circular clip-path expansion
-      tl.to(".video-box", {
-        clipPath: "circle(100% at 50% 50%)", // Expand from small circle to full circle
-        ease: "power1.inOut",
-      });
-    }
-  });
+  // Whether the fullscreen brand film player is open
+  const [playerOpen, setPlayerOpen] = useState(false);
+
+  // Brand film (none until the real film is published) and play button
+  // label in the active locale
+  const {
+    benefits: { brandFilm },
+    ui,
+  } = useContent();
+
+  // Feature flag - off keeps the full circle without pinning
+  const circleReveal = useFeatureFlag("circleReveal");
+
+  // GSAP animation setup (skipped on mobile for better performance)
+  useSectionAnimation(
+    {
+      animation: {
+        desktop: () => circleReveal && buildCircleReveal(sectionRef.current),
+        tablet: () => circleReveal && buildCircleReveal(sectionRef.current),
+      },
+      // Reduced motion: the markup already shows the full circle, no pinning
+      reduced: () => {},
+    },
+    [circleReveal], // Rebuild (or drop) the pin when the flag changes
+    { scope: sectionRef }
+  );
 
   return (
-    <section className="vd-pin-section">
-      {/* Video container with responsive clip-path */}
-      <div
-        style={{
-          clipPath: isMobile
-            ? "circle(100% at 50% 50%)" // Mobile: always show full circle
-            : "circle(6% at 50% 50%)", // Desktop: start as small circle for animation
-        }}
-        className="size-full video-box"
-      >
-        {/* Background video - auto-playing and looping */}
-        <video src="/videos/pin-video.mp4" playsInline muted loop autoPlay />
+    <section ref={sectionRef} className="vd-pin-section">
+      {/* Video container - full circle until a reveal builder shrinks it */}
+      <div className="size-full video-box">
+        {/* Background video - looping while on screen (it rests while the
+            fullscreen player is open), the poster on constrained devices */}
+        <AdaptiveVideo
+          media={mediaSources.pinVideo}
+          className="size-full absolute inset-0 object-cover"
+          loop
+        />
 
         {/* Overlay elements - spinning text and play button */}
         <div className="abs-center md:scale-100 scale-200">
@@ -72,15 +106,35 @@ const VideoPinSection = () => {
           <img src="/images/circle-text.svg" alt="" className="spin-circle" />
 
           {/* Play button overlay */}
-          <div className="play-btn">
-            <img
-              src="/images/play.svg"
-              alt=""
-              className="size-[3vw] ml-[.5vw]"
-            />
-          </div>
+          {brandFilm && (
+            <button
+              ref={playBtnRef}
+              type="button"
+              onClick={() => setPlayerOpen(true)}
+              aria-label={formatMessage(ui.player.playFilm, {
+                title: brandFilm.title,
+              })}
+              aria-haspopup="dialog"
+              className="play-btn"
+            >
+              <img
+                src="/images/play.svg"
+                alt=""
+                className="size-[3vw] ml-[.5vw]"
+              />
+            </button>
+          )}
         </div>
       </div>
+
+      {/* Fullscreen brand film, grown out of the play button */}
+      {brandFilm && playerOpen && (
+        <VideoPlayer
+          video={brandFilm}
+          origin={playBtnRef.current}
+          onClose={() => setPlayerOpen(false)}
+        />
+      )}
     </section>
   );
 };
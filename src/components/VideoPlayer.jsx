@@ -0,0 +1,353 @@
+// Import GSAP, React hooks and shared helpers
+import { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { useGSAP } from "@gsap/react";
+import gsap from "gsap";
+import { useContent } from "../hooks/useContent";
+import { useFocusTrap } from "../hooks/useFocusTrap";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { formatMessage } from "../utils/format";
+import { holdMedia } from "../utils/mediaManager";
+import { lockScroll } from "../utils/scrollLock";
+
+// Seconds skipped by the arrow keys
+const SEEK_STEP = 5;
+
+/**
+ * Format seconds as m:ss for the time readout
+ *
+ * @param {number} seconds - Time in seconds
+ * @returns {string} - Formatted time
+ */
+const formatTime = (seconds) => {
+  const total = Math.floor(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Circle clip-paths centered on an element, in viewport pixels
+ *
+ * Both values share the same format so GSAP can interpolate between them.
+ *
+ * @param {Element} element - Element to grow out of / shrink into
+ * @returns {{ collapsed: string, expanded: string }} - The element's own
+ *   circle, and a circle from the same center covering the whole viewport
+ */
+const getClipCircles = (element) => {
+  const { left, top, width, height } = element.getBoundingClientRect();
+  const x = left + width / 2;
+  const y = top + height / 2;
+
+  // Distance to the farthest viewport corner
+  const cover = Math.hypot(
+    Math.max(x, window.innerWidth - x),
+    Math.max(y, window.innerHeight - y)
+  );
+
+  return {
+    collapsed: `circle(${width / 2}px at ${x}px ${y}px)`,
+    expanded: `circle(${cover}px at ${x}px ${y}px)`,
+  };
+};
+
+/**
+ * VideoPlayer Component
+ *
+ * Accessible fullscreen player with sound, a scrub bar, captions and an
+ * optional transcript. It grows out of the element that opened it with a
+ * circular clip-path and shrinks into the current origin on close. When
+ * onPrevious/onNext are given it steps through a playlist (the testimonial
+ * lightbox); swapping `video` keeps the player open and plays the new one.
+ *
+ * Keyboard:
+ * - Space / K: play or pause
+ * - Arrow left / right: seek 5 seconds
+ * - P / N: previous / next video
+ * - M: mute, C: captions, T: transcript
+ * - Escape: close
+ *
+ * Props:
+ * @param {Object} video - { title, src, poster, tracks[], transcript }
+ * @param {Element} origin - Element the player grows out of and returns to
+ * @param {Function} onClose - Called after the closing transition
+ * @param {Function} [onPrevious] - Show the previous video
+ * @param {Function} [onNext] - Show the next video
+ */
+const VideoPlayer = ({ video, origin, onClose, onPrevious, onNext }) => {
+  const { reducedMotion } = useReducedMotion();
+
+  // Control labels in the active locale
+  const copy = useContent().ui.player;
+
+  // Refs for the player and the <video> element
+  const playerRef = useRef();
+  const videoRef = useRef();
+
+  // Playback state mirrored from the <video> element
+  const [playing, setPlaying] = useState(false);
+  const [muted, setMuted] = useState(false);
+  const [captionsOn, setCaptionsOn] = useState(true);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [duration, setDuration] = useState(0);
+  const [transcriptOpen, setTranscriptOpen] = useState(false);
+
+  // Keyboard focus stays inside the player while it is open
+  useFocusTrap(playerRef);
+
+  // Opening transition - runs once when the player mounts
+  const { contextSafe } = useGSAP(
+    () => {
+      // Keep the pinned section exactly where it was, and rest the page's
+      // background videos while this one plays
+      const unlockScroll = lockScroll();
+      const releaseMedia = holdMedia();
+
+      const cleanup = () => {
+        releaseMedia();
+        unlockScroll();
+      };
+
+      // Reduced motion: open instantly
+      if (reducedMotion) return cleanup;
+
+      const { collapsed, expanded } = getClipCircles(origin);
+
+      gsap
+        .timeline()
+        .fromTo(
+          playerRef.current,
+          { clipPath: collapsed }, // Same circle as the origin
+          {
+            clipPath: expanded, // Covers the whole viewport
+            duration: 0.9,
+            ease: "power3.inOut",
+            clearProps: "clipPath", // Stay uncovered through resizes
+          }
+        )
+        .from(
+          ".video-player-controls",
+          { yPercent: 100, opacity: 0, duration: 0.4, ease: "power2.out" },
+          "-=0.3"
+        );
+
+      return cleanup;
+    },
+    { scope: playerRef }
+  );
+
+  // Closing transition - shrink back into the (current) origin
+  const handleClose = contextSafe(() => {
+    videoRef.current.pause();
+
+    if (reducedMotion) {
+      onClose();
+      return;
+    }
+
+    const { collapsed, expanded } = getClipCircles(origin);
+
+    gsap
+      .timeline({ onComplete: onClose })
+      .to(".video-player-controls, .video-player-transcript", {
+        opacity: 0,
+        duration: 0.2,
+      })
+      .fromTo(
+        playerRef.current,
+        { clipPath: expanded },
+        { clipPath: collapsed, duration: 0.6, ease: "power3.inOut" },
+        0
+      );
+  });
+
+  // Start with sound whenever a video is shown - opening the player (or
+  // stepping through the playlist) is the user gesture
+  useEffect(() => {
+    setCurrentTime(0);
+    videoRef.current.play().catch(() => setPlaying(false));
+  }, [video.src]);
+
+  const togglePlay = () => {
+    const element = videoRef.current;
+    if (element.paused) {
+      element.play().catch(() => setPlaying(false));
+    } else {
+      element.pause();
+    }
+  };
+
+  const toggleMute = () => {
+    videoRef.current.muted = !videoRef.current.muted;
+    setMuted(videoRef.current.muted);
+  };
+
+  const seek = (time) => {
+    const element = videoRef.current;
+    element.currentTime = gsap.utils.clamp(0, element.duration || 0, time);
+    setCurrentTime(element.currentTime);
+  };
+
+  // Show or hide the caption tracks
+  useEffect(() => {
+    Array.from(videoRef.current.textTracks).forEach((track) => {
+      track.mode = captionsOn ? "showing" : "hidden";
+    });
+  }, [captionsOn, video.src]);
+
+  // Player keyboard shortcuts
+  const handleKeyDown = (event) => {
+    // Let focused controls handle their own keys (buttons, scrub bar)
+    const onControl = event.target.closest("button, input");
+
+    switch (event.key) {
+      case "Escape":
+        handleClose();
+        break;
+      case " ":
+      case "k":
+        if (onControl && event.key === " ") return;
+        togglePlay();
+        break;
+      case "ArrowLeft":
+      case "ArrowRight":
+        if (onControl?.type === "range") return;
+        seek(
+          videoRef.current.currentTime +
+            (event.key === "ArrowLeft" ? -SEEK_STEP : SEEK_STEP)
+        );
+        break;
+      case "p":
+        if (!onPrevious) return;
+        onPrevious();
+        break;
+      case "n":
+        if (!onNext) return;
+        onNext();
+        break;
+      case "m":
+        toggleMute();
+        break;
+      case "c":
+        setCaptionsOn((on) => !on);
+        break;
+      case "t":
+        if (!video.transcript) return;
+        setTranscriptOpen((open) => !open);
+        break;
+      default:
+        return;
+    }
+
+    event.preventDefault();
+  };
+
+  // Rendered into <body> - position: fixed breaks inside #smooth-content
+  return createPortal(
+    <div
+      ref={playerRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={video.title}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+      className="video-player"
+    >
+      <video
+        ref={videoRef}
+        src={video.src}
+        poster={video.poster}
+        playsInline
+        onClick={togglePlay}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onTimeUpdate={(event) => setCurrentTime(event.target.currentTime)}
+        onLoadedMetadata={(event) => setDuration(event.target.duration)}
+      >
+        {video.tracks?.map((track, index) => (
+          <track key={track.src} default={index === 0} {...track} />
+        ))}
+      </video>
+
+      {/* Transcript of the current video */}
+      {video.transcript && transcriptOpen && (
+        <div id="video-player-transcript" className="video-player-transcript">
+          <p>{video.transcript}</p>
+        </div>
+      )}
+
+      {/* Control bar */}
+      <div className="video-player-controls">
+        {onPrevious && (
+          <button type="button" onClick={onPrevious}>
+            {copy.previous}
+          </button>
+        )}
+
+        <button
+          type="button"
+          onClick={togglePlay}
+          aria-label={playing ? copy.pause : copy.play}
+        >
+          {playing ? copy.pause : copy.play}
+        </button>
+
+        <input
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={currentTime}
+          onChange={(event) => seek(Number(event.target.value))}
+          aria-label={copy.seek}
+          aria-valuetext={formatMessage(copy.seekValue, {
+            current: formatTime(currentTime),
+            duration: formatTime(duration),
+          })}
+          className="video-player-scrub"
+        />
+
+        <span className="video-player-time">
+          {formatTime(currentTime)} / {formatTime(duration)}
+        </span>
+
+        {onNext && (
+          <button type="button" onClick={onNext}>
+            {copy.next}
+          </button>
+        )}
+
+        <button type="button" onClick={toggleMute} aria-pressed={muted}>
+          {muted ? copy.unmute : copy.mute}
+        </button>
+
+        {video.tracks?.length > 0 && (
+          <button
+            type="button"
+            onClick={() => setCaptionsOn((on) => !on)}
+            aria-pressed={captionsOn}
+          >
+            {copy.captions}
+          </button>
+        )}
+
+        {video.transcript && (
+          <button
+            type="button"
+            onClick={() => setTranscriptOpen((open) => !open)}
+            aria-expanded={transcriptOpen}
+            aria-controls="video-player-transcript"
+          >
+            {copy.transcript}
+          </button>
+        )}
+
+        <button type="button" onClick={handleClose}>
+          {copy.close}
+        </button>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default VideoPlayer;
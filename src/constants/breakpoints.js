@@ -0,0 +1,7 @@
+// Responsive breakpoints shared by gsap.matchMedia timelines and layout
+// switches (see useSectionAnimation and useBreakpoint)
+export const breakpoints = {
+  desktop: "(min-width: 1025px)",
+  tablet: "(min-width: 769px) and (max-width: 1024px)",
+  mobile: "(max-width: 768px)",
+};
@@ -0,0 +1,11 @@
+// A/B experiments (see utils/experiments.js), keyed by experiment id.
+// `variants` maps variant names to relative weights. "control" renders the
+// section's own copy; other variants merge their copy from the content
+// file's `experiments` entry with the same ids. Set `enabled: false` to end
+// an experiment - everyone then sees the control. Changing weights moves
+// some visitors to another variant, so only do it between experiments.
+export const experiments = {
+  heroCopy: { enabled: true, variants: { control: 1, bold: 1 } },
+  messageHeadline: { enabled: true, variants: { control: 1, direct: 1 } },
+  newsletterCopy: { enabled: true, variants: { control: 1, perks: 1 } },
+};
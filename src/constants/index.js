@@ -1,92 +1,39 @@
-const flavorlists = [
-  {
-    name: "Chocolate Milk",
-    color: "brown",
-    rotation: "md:rotate-[-8deg] rotate-0",
-  },
-  {
-    name: "Stawberry Milk",
-    color: "red",
-    rotation: "md:rotate-[8deg] rotate-0",
-  },
-  {
-    name: "Cookies & Cream",
-    color: "blue",
-    rotation: "md:rotate-[-8deg] rotate-0",
-  },
-  {
-    name: "Peanut Butter Chocolate",
-    color: "orange",
-    rotation: "md:rotate-[8deg] rotate-0",
-  },
-  {
-    name: "Vanilla Milkshake",
-    color: "white",
-    rotation: "md:rotate-[-8deg] rotate-0",
-  },
-  {
-    name: "Max Chocolate Milk",
-    color: "black",
-    rotation: "md:rotate-[8deg] rotate-0",
-  },
-];
+// Import the validated page content and shared layout constants
+import { content } from "../content";
+import { breakpoints } from "./breakpoints";
+import { experiments } from "./experiments";
+import { homeSections } from "./sections";
 
-const nutrientLists = [
-  { label: "Potassium", amount: "245mg" },
-  { label: "Calcium", amount: "500mg" },
-  { label: "Vitamin A", amount: "176mcg" },
-  { label: "Vitamin D", amount: "5mcg" },
-  { label: "Iron", amount: "1mg" },
-];
+// Page data now lives in the content files (src/content/<locale>.json,
+// described by src/content/schema.js). These exports are the default
+// (English) content, for modules outside React that only need the parts
+// every locale shares (slugs, media, section ids); components read copy in
+// the active locale through useContent.
 
-const cards = [
-  {
-    src: "/videos/f1.mp4",
-    rotation: "rotate-z-[-10deg]",
-    name: "Madison",
-    img: "/images/p1.png",
-    translation: "translate-y-[-5%]",
-  },
-  {
-    src: "/videos/f2.mp4",
-    rotation: "rotate-z-[4deg]",
-    name: "Alexander",
-    img: "/images/p2.png",
-  },
-  {
-    src: "/videos/f3.mp4",
-    rotation: "rotate-z-[-4deg]",
-    name: "Andrew",
-    img: "/images/p3.png",
-    translation: "translate-y-[-5%]",
-  },
-  {
-    src: "/videos/f4.mp4",
-    rotation: "rotate-z-[4deg]",
-    name: "Bryan",
-    img: "/images/p4.png",
-    translation: "translate-y-[5%]",
-  },
-  {
-    src: "/videos/f5.mp4",
-    rotation: "rotate-z-[-10deg]",
-    name: "Chris",
-    img: "/images/p5.png",
-  },
-  {
-    src: "/videos/f6.mp4",
-    rotation: "rotate-z-[4deg]",
-    name: "Devante",
-    img: "/images/p6.png",
-    translation: "translate-y-[5%]",
-  },
-  {
-    src: "/videos/f7.mp4",
-    rotation: "rotate-z-[-3deg]",
-    name: "Melisa",
-    img: "/images/p7.png",
-    translation: "translate-y-[10%]",
-  },
-];
+const flavorlists = content.flavors.items;
 
-export { flavorlists, nutrientLists, cards };
+const nutrientLists = content.nutrition.nutrients;
+
+// Testimonials. `src` is optional - cards without a (loadable) video render
+// as written reviews.
+const cards = content.testimonials.cards;
+
+// Autoplaying background videos (see utils/mediaSource.js)
+const mediaSources = {
+  hero: content.hero.media,
+  // Hero behind the `newHero` flag - the current one until the content file
+  // provides the new media
+  newHero: content.hero.newMedia ?? content.hero.media,
+  pinVideo: content.benefits.video,
+  footerSplash: content.footer.media,
+};
+
+export {
+  flavorlists,
+  nutrientLists,
+  cards,
+  mediaSources,
+  homeSections,
+  experiments,
+  breakpoints,
+};
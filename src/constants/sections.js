@@ -0,0 +1,12 @@
+// Home page sections, in page order (see sections/registry.js). Campaigns
+// reorder, hide (`enabled: false`) or insert registered sections here -
+// pins, overlaps and navigation follow the resolved order.
+export const homeSections = [
+  { id: "hero" },
+  { id: "message" },
+  { id: "flavors" },
+  { id: "nutrition" },
+  { id: "benefits" },
+  { id: "testimonials" },
+  { id: "footer" },
+];
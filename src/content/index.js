@@ -0,0 +1,119 @@
+// Import the content files and their schema
+import en from "./en.json";
+import { contentSchema } from "./schema";
+
+// Content file format this build understands - bump together with the
+// schema when the structure changes
+export const CONTENT_VERSION = 8;
+
+// Locale used for missing translations and unsupported browsers
+export const DEFAULT_LOCALE = "en";
+
+// Every translation next to en.json, keyed by file name
+const translationFiles = import.meta.glob(["./*.json", "!./en.json"], {
+  eager: true,
+  import: "default",
+});
+
+/**
+ * Validate a content file and return it
+ *
+ * Every problem is collected before failing, so one run lists everything
+ * a copywriter has to fix, e.g.:
+ *
+ *   Invalid content file "en.json" (2 problems):
+ *     - content.hero.title: expected a non-empty string, got nothing
+ *     - content.benefits.items[1].bg: expected a hex color like #faeade, got "brown"
+ *
+ * @param {Object} data - Parsed JSON
+ * @param {string} source - File name used in the error message
+ * @returns {Object} - The same data, known to match the schema
+ * @throws {Error} - With `code` "invalid-content" and the `problems` list
+ */
+export const loadContent = (data, source) => {
+  const problems =
+    data?.version === CONTENT_VERSION
+      ? contentSchema(data, "content")
+      : [
+          `content.version: expected ${CONTENT_VERSION}, got ${JSON.stringify(
+            data?.version
+          )} - migrate the file to the current format`,
+        ];
+
+  if (problems.length) {
+    const message = [
+      `Invalid content file "${source}" (${problems.length} problem${
+        problems.length === 1 ? "" : "s"
+      }):`,
+      ...problems.map((problem) => `  - ${problem}`),
+    ].join("\n");
+
+    throw Object.assign(new Error(message), {
+      code: "invalid-content",
+      problems,
+    });
+  }
+
+  return data;
+};
+
+/**
+ * Merge a translation over the default content
+ *
+ * Objects merge key by key and arrays item by item, so a translation only
+ * lists the strings it changes. Missing or null values keep the default.
+ *
+ * @param {*} base - Default content value
+ * @param {*} override - Translated value
+ * @returns {*} - Merged value
+ */
+export const mergeContent = (base, override) => {
+  if (override === undefined || override === null) return base;
+
+  if (Array.isArray(base) && Array.isArray(override)) {
+    return base.map((item, index) => mergeContent(item, override[index]));
+  }
+
+  if (
+    base &&
+    typeof base === "object" &&
+    !Array.isArray(base) &&
+    typeof override === "object" &&
+    !Array.isArray(override)
+  ) {
+    const merged = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = mergeContent(base[key], value);
+    }
+    return merged;
+  }
+
+  return override;
+};
+
+// Default content, validated when the app loads
+export const content = loadContent(en, "en.json");
+
+/**
+ * Content for every locale, keyed by locale code
+ *
+ * Translations are merged over English and validated when this module
+ * loads in the browser (the build does not check them), so a broken
+ * translation throws on startup the same way a broken en.json does,
+ * rather than when a visitor switches to it.
+ */
+export const locales = Object.entries(translationFiles).reduce(
+  (all, [file, data]) => {
+    const merged = loadContent(mergeContent(content, data), file.slice(2));
+    return { ...all, [merged.locale]: merged };
+  },
+  { [content.locale]: content }
+);
+
+/**
+ * Content for a locale, falling back to the default
+ *
+ * @param {string} locale - Locale code, e.g. "es"
+ * @returns {Object} - Validated content
+ */
+export const getContent = (locale) => locales[locale] ?? content;
@@ -0,0 +1,262 @@
+// Import schema validators
+import {
+  array,
+  number,
+  object,
+  oneOf,
+  optional,
+  string,
+} from "../utils/schema";
+import { breakpoints } from "../constants/breakpoints";
+
+// Reusable value formats
+const path = string({ pattern: /^\//, description: "a path starting with /" });
+const color = string({
+  pattern: /^#(?:[0-9a-f]{3}){1,2}$/i,
+  description: "a hex color like #faeade",
+});
+const slug = string({
+  pattern: /^[a-z0-9]+(?:-[a-z0-9]+)*$/,
+  description: "a lowercase-dashed slug",
+});
+const href = string({
+  pattern: /^(?:\/|https:\/\/|mailto:)/,
+  description: "a site path or an https:// or mailto: URL",
+});
+// Links without a page or account to point at yet render as text
+const link = object({ label: string(), href: optional(href) });
+// UI text with `{name}` placeholders (see formatMessage in utils/format.js)
+const message = (...placeholders) =>
+  string({
+    pattern: new RegExp(
+      "^" + placeholders.map((name) => `(?=[\\s\\S]*\\{${name}\\})`).join("")
+    ),
+    description: `text containing ${placeholders
+      .map((name) => `{${name}}`)
+      .join(", ")}`,
+  });
+const isoDate = string({
+  pattern: /^\d{4}-\d{2}-\d{2}$/,
+  description: "an ISO date (YYYY-MM-DD)",
+});
+// Amounts are plain numbers so they can be formatted for the locale
+// (see utils/format.js); the unit is left out for unitless values
+const labelAmount = object({
+  label: string(),
+  amount: number({ min: 0 }),
+  unit: optional(oneOf(["g", "mg", "mcg"])),
+});
+
+// Video with renditions, poster and still (see utils/mediaSource.js)
+const media = object({
+  renditions: array(
+    object({
+      src: path,
+      type: optional(string()),
+      width: optional(number({ min: 1, integer: true })),
+    }),
+    { minLength: 1 }
+  ),
+  poster: optional(path),
+  still: optional(object({ src: path, alt: string() })),
+  stillOn: optional(array(oneOf(Object.keys(breakpoints)))),
+});
+
+const flavor = object({
+  name: string(),
+  slug,
+  color: string(), // Prefix of the /images/<color>-*.{svg,webp} artwork
+  rotation: string(), // Tailwind rotate classes
+  description: string(),
+  // Product facts - only published as supplied by the product owner; the
+  // flavor page leaves out whatever is missing
+  ingredients: optional(array(string(), { minLength: 1 })),
+  nutrition: optional(array(labelAmount, { minLength: 1 })),
+});
+
+// Variant copy only lists the strings it changes (see
+// constants/experiments.js)
+const variantCopy = (keys) =>
+  object(Object.fromEntries(keys.map((key) => [key, optional(string())])));
+
+// Review fields (quote, rating, location, flavor, date, transcript) only
+// hold real customer reviews published with permission - cards without
+// them show the reviewer alone
+const testimonial = object({
+  src: optional(path), // Written review when missing
+  captions: optional(path), // WebVTT transcribed from the clip, or "[No audio]"
+  rotation: string(),
+  translation: optional(string()),
+  name: string(),
+  location: optional(string()),
+  quote: optional(string()),
+  rating: optional(number({ min: 0, max: 5, integer: true })),
+  flavor: optional(slug),
+  date: optional(isoDate),
+  img: path,
+  transcript: optional(string()),
+});
+
+/**
+ * Schema of a content file (src/content/<locale>.json)
+ *
+ * Translations are validated after being merged over the English file,
+ * so they only need the keys they translate (see content/index.js).
+ */
+export const contentSchema = object({
+  version: number({ integer: true, min: 1 }),
+  locale: string({
+    pattern: /^[a-z]{2}$/,
+    description: "a two-letter language code",
+  }),
+  localeName: string(), // Shown in the locale switcher, in its own language
+  direction: oneOf(["ltr", "rtl"]), // Text direction, mirrors the layout
+  navigation: array(
+    object({ id: slug, label: string() }), // Labels for sections/registry.js
+    { minLength: 1 }
+  ),
+  ui: object({
+    menuOpen: string(),
+    menuClose: string(),
+    motionOn: string(),
+    motionOff: string(),
+    language: string(),
+    skipToContent: string(),
+    sectionsNav: string(), // Landmark labels
+    footerNav: string(),
+    socialNav: string(),
+    homeLink: string(),
+    preloader: object({
+      loading: string(), // Announced when the loader appears
+      ready: string(), // Announced once critical assets are in
+    }),
+    flavorCard: object({
+      view: message("name"),
+      choose: string(),
+      show: message("name"),
+      can: message("name"), // Drink image alt text
+      close: string(),
+      more: string(),
+    }),
+    player: object({
+      play: string(),
+      pause: string(),
+      seek: string(),
+      seekValue: message("current", "duration"),
+      previous: string(),
+      next: string(),
+      mute: string(),
+      unmute: string(),
+      captions: string(),
+      captionsLanguage: string(), // Name of the caption files' language
+      transcript: string(),
+      close: string(),
+      playFilm: message("title"),
+    }),
+    testimonial: object({
+      rating: message("rating"),
+      watch: message("name"),
+      review: message("name"),
+      title: message("name"),
+    }),
+    newsletter: object({
+      emailRequired: string(),
+      emailInvalid: string(),
+      rateLimited: message("seconds"),
+      submitting: string(),
+      success: string(),
+      alreadySubscribed: string(),
+      networkError: string(),
+      serverError: string(),
+      unavailable: string(), // No signup endpoint configured
+    }),
+  }),
+  hero: object({
+    title: string(),
+    subtitle: string(),
+    description: string(),
+    cta: string(),
+    media,
+    newMedia: optional(media), // Replacement rolled out with the `newHero` flag
+  }),
+  message: object({
+    lead: string(),
+    highlight: string(),
+    tail: string(),
+    paragraph: string(),
+  }),
+  flavors: object({
+    title: object({ lead: string(), highlight: string(), tail: string() }),
+    detail: object({
+      back: string(),
+      nutrition: string(),
+      ingredients: string(),
+      more: string(),
+      notFound: string(),
+      backToAll: string(),
+    }),
+    items: array(flavor, { minLength: 1 }),
+  }),
+  nutrition: object({
+    title: object({ lead: string(), highlight: string() }),
+    description: string(),
+    amountPrefix: string(),
+    nutrients: array(labelAmount, { minLength: 1 }),
+  }),
+  benefits: object({
+    intro: array(string(), { minLength: 1 }),
+    items: array(
+      object({ title: string(), color, bg: color, borderColor: color }),
+      { minLength: 1 }
+    ),
+    outro: string(),
+    video: media,
+    // Full-length film behind the VideoPinSection play button - leave it
+    // out until the film and its transcribed captions exist
+    brandFilm: optional(
+      object({
+        title: string(),
+        src: path,
+        poster: optional(path),
+        tracks: optional(
+          array(
+            object({
+              kind: oneOf(["captions", "subtitles"]),
+              src: path,
+              srcLang: string(),
+              label: string(),
+            })
+          )
+        ),
+      })
+    ),
+  }),
+  testimonials: object({
+    title: array(string(), { minLength: 3 }),
+    favourite: string(),
+    cards: array(testimonial, { minLength: 1 }),
+  }),
+  footer: object({
+    hashtag: string(),
+    media,
+    social: array(
+      object({ label: string(), icon: path, href: optional(href) })
+    ),
+    linkColumns: array(array(link, { minLength: 1 })),
+    newsletter: object({
+      label: string(),
+      placeholder: string(),
+      submit: string(),
+    }),
+    copyright: string(),
+    legal: array(link),
+  }),
+  // Copy of the A/B variants, keyed by experiment id and variant name
+  experiments: object({
+    heroCopy: object({ bold: variantCopy(["title", "subtitle", "cta"]) }),
+    messageHeadline: object({
+      direct: variantCopy(["lead", "highlight", "tail"]),
+    }),
+    newsletterCopy: object({ perks: variantCopy(["label", "submit"]) }),
+  }),
+});
@@ -0,0 +1,12 @@
+// Import React context factory and the default content
+import { createContext } from "react";
+import { content } from "../content";
+
+/**
+ * ContentContext
+ *
+ * Page copy, colors and media from the validated content file
+ * (src/content/<locale>.json). Defaults to the English content so
+ * components work without a provider; read through the useContent hook.
+ */
+export const ContentContext = createContext(content);
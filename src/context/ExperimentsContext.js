@@ -0,0 +1,26 @@
+// Import React context factory
+import { createContext } from "react";
+
+/**
+ * Storage key for the visitor id that keeps A/B assignments sticky
+ */
+export const EXPERIMENTS_STORAGE_KEY = "spylt-visitor-id";
+
+/**
+ * ExperimentsContext
+ *
+ * A/B variant assignment and event reporting for the whole app. Provided
+ * by ExperimentsProvider and read through the useExperiment hook.
+ *
+ * Shape:
+ * - visitorId: sticky id the variants are derived from
+ * - getVariant: (experiment) => variant name
+ * - expose: record that the visitor saw an experiment (once per visit)
+ * - convert: record a conversion goal for an experiment
+ */
+export const ExperimentsContext = createContext({
+  visitorId: null,
+  getVariant: () => "control",
+  expose: () => {},
+  convert: () => {},
+});
@@ -0,0 +1,34 @@
+// Import React context factory and the default flags
+import { createContext } from "react";
+import { defaultFlags } from "../utils/featureFlags";
+
+/**
+ * Storage key for persistent flag overrides (a JSON object of flags)
+ */
+export const FEATURE_FLAGS_STORAGE_KEY = "spylt-feature-flags";
+
+/**
+ * Remote flag file. public/flags.json is the local stub; point
+ * VITE_FEATURE_FLAGS_URL at the flag service in deployed builds.
+ */
+export const FEATURE_FLAGS_URL =
+  import.meta.env.VITE_FEATURE_FLAGS_URL || "/flags.json";
+
+/**
+ * FeatureFlagsContext
+ *
+ * Resolved feature flags for the whole app. Provided by
+ * FeatureFlagsProvider and read through the useFeatureFlags hook.
+ *
+ * Shape:
+ * - flags: defaults merged with the remote file, storage and query
+ * - remoteLoaded: true once the remote file was applied (or failed)
+ * - setFlag: persist an override in localStorage (undefined clears it)
+ * - resetFlags: clear every persisted override
+ */
+export const FeatureFlagsContext = createContext({
+  flags: defaultFlags,
+  remoteLoaded: false,
+  setFlag: () => {},
+  resetFlags: () => {},
+});
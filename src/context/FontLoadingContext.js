@@ -0,0 +1,37 @@
+// Import React context factory
+import { createContext } from "react";
+
+/**
+ * Web fonts the page waits for, keyed by family name. Each entry holds the
+ * CSS font shorthand used to load and check that family.
+ */
+export const FONT_FAMILIES = {
+  Antonio: '700 1em "Antonio"', // Display titles (bold)
+  ProximaNova: '1em "ProximaNova"', // Paragraph text
+};
+
+/**
+ * Safety net - fonts are treated as ready after this many milliseconds
+ */
+export const FONT_LOADING_TIMEOUT = 3000;
+
+/**
+ * FontLoadingContext
+ *
+ * Result of the single font detection pass owned by FontLoadingProvider.
+ * Read it through the useFontsLoaded / useFontLoading hooks.
+ *
+ * Shape:
+ * - fontsLoaded: true once every family settled or the timeout fired
+ * - fonts: per-family status ("loading" | "loaded" | "failed")
+ * - progress: fraction of families settled (0 - 1) for the loader UI
+ * - timedOut: true when the safety timeout released the page
+ * - whenReady: returns a promise resolved once fontsLoaded is true
+ */
+export const FontLoadingContext = createContext({
+  fontsLoaded: false,
+  fonts: {},
+  progress: 0,
+  timedOut: false,
+  whenReady: () => Promise.resolve(),
+});
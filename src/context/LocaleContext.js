@@ -0,0 +1,28 @@
+// Import React context factory and the default locale
+import { createContext } from "react";
+import { DEFAULT_LOCALE } from "../content";
+
+/**
+ * Storage key used to persist the visitor's chosen locale. A missing value
+ * means "detect from the browser languages".
+ */
+export const LOCALE_STORAGE_KEY = "spylt-locale";
+
+/**
+ * LocaleContext
+ *
+ * Active locale for the whole page. Provided by LocaleProvider (which also
+ * provides the matching ContentContext) and read through useLocale.
+ *
+ * Shape:
+ * - locale: active locale code, e.g. "en"
+ * - dir: text direction of the locale, "ltr" or "rtl"
+ * - locales: available locales as { code, name } in switcher order
+ * - setLocale: switch and persist the locale
+ */
+export const LocaleContext = createContext({
+  locale: DEFAULT_LOCALE,
+  dir: "ltr",
+  locales: [],
+  setLocale: () => {},
+});
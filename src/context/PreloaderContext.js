@@ -0,0 +1,36 @@
+// Import React context factory
+import { createContext } from "react";
+
+/**
+ * Safety net - the hero intro starts after this many milliseconds even if
+ * critical assets are still streaming
+ */
+export const CRITICAL_ASSET_TIMEOUT = 8000;
+
+/**
+ * PreloaderContext
+ *
+ * Asset loading state owned by PreloaderProvider and read through the
+ * usePreloader hook.
+ *
+ * Shape:
+ * - progress: combined fraction (0 - 1) of critical assets and fonts
+ * - loadedItems / totalItems: settled vs total critical entries
+ * - loadedBytes / totalBytes: streamed bytes of critical assets
+ * - criticalReady: critical assets settled (or timed out)
+ * - ready: criticalReady, fonts loaded and the remote feature flags
+ *   applied - hand-off point for the hero intro
+ * - timedOut: true when the critical asset safety net fired
+ * - deferred: { loaded, total } item counts of the non-critical media
+ */
+export const PreloaderContext = createContext({
+  progress: 0,
+  loadedItems: 0,
+  totalItems: 0,
+  loadedBytes: 0,
+  totalBytes: 0,
+  criticalReady: false,
+  ready: false,
+  timedOut: false,
+  deferred: { loaded: 0, total: 0 },
+});
@@ -0,0 +1,35 @@
+// Import React context factory
+import { createContext } from "react";
+
+/**
+ * Storage key used to persist the visitor's explicit motion preference.
+ * Stored values are "reduce" or "no-preference"; a missing value means
+ * "follow the operating system setting".
+ */
+export const REDUCED_MOTION_STORAGE_KEY = "spylt-motion-preference";
+
+/**
+ * Media query that reports the operating system reduced-motion setting
+ */
+export const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * ReducedMotionContext
+ *
+ * Shared motion preference for the whole page. Provided by
+ * ReducedMotionProvider and read through the useReducedMotion hook.
+ *
+ * Shape:
+ * - reducedMotion: true when sections should render their static end states
+ * - systemReducedMotion: the raw prefers-reduced-motion value
+ * - preference: "system" | "reduce" | "no-preference" (user override)
+ * - setPreference: update and persist the user override
+ * - toggleReducedMotion: flip between reduced and full motion
+ */
+export const ReducedMotionContext = createContext({
+  reducedMotion: false,
+  systemReducedMotion: false,
+  preference: "system",
+  setPreference: () => {},
+  toggleReducedMotion: () => {},
+});
@@ -0,0 +1,36 @@
+// Import React hooks, GSAP React hook and section markers
+import { useState } from "react";
+import { useGSAP } from "@gsap/react";
+import { createSectionTrigger } from "../utils/sectionScroll";
+
+/**
+ * Custom hook that tracks which page section is currently in view
+ *
+ * Creates one marker ScrollTrigger per section (see createSectionTrigger)
+ * and reports the section the user most recently scrolled into. Sections
+ * that overlap (TestimonialSection slides over BenefitSection) resolve to
+ * the last one entered.
+ *
+ * @param {Array<{ id: string, start?: string }>} sections - Navigable
+ *   sections in page order (useSections `navSections`)
+ * @returns {string} - Id of the active section
+ */
+export const useActiveSection = (sections) => {
+  const [activeId, setActiveId] = useState(sections[0]?.id);
+
+  useGSAP(
+    () => {
+      sections.forEach((section, index) => {
+        createSectionTrigger(section, {
+          onEnter: () => setActiveId(section.id), // Scrolling down into section
+          onEnterBack: () => setActiveId(section.id), // Scrolling back up into section
+          onLeaveBack: () => setActiveId(sections[index - 1]?.id ?? section.id), // Scrolled above its start
+        });
+      });
+    },
+    // Rebuild the markers when sections are hidden, added or reordered
+    { dependencies: [sections], revertOnUpdate: true }
+  );
+
+  return activeId;
+};
@@ -0,0 +1,53 @@
+// Import React hooks, GSAP and breakpoint definitions
+import { useEffect, useState } from "react";
+import gsap from "gsap";
+import { breakpoints } from "../constants";
+
+/**
+ * Resolve the active breakpoint name from matchMedia conditions
+ *
+ * @param {Object} conditions - Map of breakpoint name to match state
+ * @returns {"desktop" | "tablet" | "mobile"}
+ */
+export const getActiveBreakpoint = (conditions) =>
+  Object.keys(breakpoints).find((name) => conditions[name]) || "desktop";
+
+/**
+ * Read the breakpoint synchronously so the first render picks the right markup
+ */
+const readBreakpoint = () => {
+  if (typeof window.matchMedia !== "function") return "desktop";
+
+  const conditions = {};
+  Object.entries(breakpoints).forEach(([name, query]) => {
+    conditions[name] = window.matchMedia(query).matches;
+  });
+
+  return getActiveBreakpoint(conditions);
+};
+
+/**
+ * Custom hook to read the current responsive breakpoint
+ *
+ * Uses the same gsap.matchMedia queries as the section timelines, so markup
+ * switches (video vs image, list length) always agree with the animation
+ * builders that are active.
+ *
+ * @returns {"desktop" | "tablet" | "mobile"} - The active breakpoint
+ */
+export const useBreakpoint = () => {
+  const [breakpoint, setBreakpoint] = useState(readBreakpoint);
+
+  useEffect(() => {
+    const mm = gsap.matchMedia();
+
+    // Runs on mount and every time a breakpoint boundary is crossed
+    mm.add(breakpoints, (context) => {
+      setBreakpoint(getActiveBreakpoint(context.conditions));
+    });
+
+    return () => mm.revert();
+  }, []);
+
+  return breakpoint;
+};
@@ -0,0 +1,10 @@
+// Import React hook for reading context
+import { useContext } from "react";
+import { ContentContext } from "../context/ContentContext";
+
+/**
+ * Custom hook to read the page content
+ *
+ * @returns {Object} - Content file data (see src/content/schema.js)
+ */
+export const useContent = () => useContext(ContentContext);
@@ -0,0 +1,117 @@
+// Import React hooks, GSAP and shared navigation helpers
+import { useEffect, useRef } from "react";
+import { ScrollTrigger } from "gsap/all";
+import { useFontLoading } from "./useFontsLoaded";
+import { useReducedMotion } from "./useReducedMotion";
+import { scrollToSection } from "../utils/sectionScroll";
+
+/**
+ * Parse a location hash into a section id and an optional inner anchor
+ *
+ * @example parseSectionHash("#flavors/cookies-cream")
+ * // => { id: "flavors", anchor: "cookies-cream" }
+ *
+ * @param {string} hash - location.hash value
+ * @returns {{ id: string, anchor: string | undefined }}
+ */
+export const parseSectionHash = (hash) => {
+  const [id, ...anchor] = decodeURIComponent(hash.replace(/^#/, "")).split("/");
+  return { id, anchor: anchor.join("/") || undefined };
+};
+
+// Resolve on the next animation frame
+const nextFrame = () =>
+  new Promise((resolve) => requestAnimationFrame(resolve));
+
+/**
+ * Custom hook that keeps the URL hash and the scroll position in sync
+ *
+ * - On load and on hashchange, waits for fonts and for ScrollSmoother to be
+ *   created, refreshes ScrollTrigger so pin spacing is measured after layout
+ *   settles, then scrolls to the section (or to an anchor inside it, e.g.
+ *   `#flavors/cookies-cream`).
+ * - While the user scrolls, replaces the hash with the active section.
+ *   Anchors inside the active section are kept.
+ *
+ * @param {string} activeId - Id of the section currently in view
+ * @param {Array<{ id: string }>} sections - Navigable sections in page
+ *   order; the first one maps to a clean URL
+ */
+export const useDeepLinking = (activeId, sections) => {
+  const { whenReady } = useFontLoading();
+  const { reducedMotion } = useReducedMotion();
+
+  // Section a hash navigation is heading to - hash updates pause until the
+  // scroll arrives so passing sections don't overwrite the shared link
+  const pendingSectionRef = useRef(null);
+
+  // Latest values for the async navigation
+  const activeIdRef = useRef(activeId);
+  const reducedMotionRef = useRef(reducedMotion);
+  const sectionsRef = useRef(sections);
+  activeIdRef.current = activeId;
+  reducedMotionRef.current = reducedMotion;
+  sectionsRef.current = sections;
+
+  // Scroll to the hash on load and whenever it changes
+  useEffect(() => {
+    let cancelled = false;
+
+    const navigateToHash = async (smooth) => {
+      const { id, anchor } = parseSectionHash(window.location.hash);
+      if (!sectionsRef.current.some((section) => section.id === id)) return;
+
+      pendingSectionRef.current = id;
+
+      // Fonts first, then two frames so ScrollSmoother exists before measuring
+      await whenReady();
+      await nextFrame();
+      await nextFrame();
+      if (cancelled) return;
+
+      ScrollTrigger.refresh();
+
+      const found = scrollToSection(id, {
+        anchor,
+        smooth: smooth && !reducedMotionRef.current,
+      });
+
+      // Nothing will scroll (missing section or already there)
+      if (!found || activeIdRef.current === id) {
+        pendingSectionRef.current = null;
+      }
+    };
+
+    // Initial load jumps straight to the target, later changes animate
+    navigateToHash(false);
+
+    const handleHashChange = () => navigateToHash(true);
+    window.addEventListener("hashchange", handleHashChange);
+
+    return () => {
+      cancelled = true;
+      window.removeEventListener("hashchange", handleHashChange);
+    };
+  }, [whenReady]);
+
+  // Mirror the active section in the hash while scrolling
+  useEffect(() => {
+    const pendingSection = pendingSectionRef.current;
+    if (pendingSection) {
+      if (activeId === pendingSection) pendingSectionRef.current = null;
+      return;
+    }
+
+    // Keep anchors inside the active section (e.g. #flavors/cookies-cream)
+    if (parseSectionHash(window.location.hash).id === activeId) return;
+
+    // The first section maps to a clean URL
+    const { pathname, search } = window.location;
+    const url =
+      activeId === sectionsRef.current[0]?.id
+        ? `${pathname}${search}`
+        : `${pathname}${search}#${activeId}`;
+
+    window.history.replaceState(window.history.state, "", url);
+  }, [activeId]);
+};
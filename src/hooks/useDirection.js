@@ -0,0 +1,46 @@
+// Import React hooks, the locale and direction helpers
+import { useMemo } from "react";
+import { useLocale } from "./useLocale";
+import {
+  getArrows,
+  getDirectionSign,
+  getInlineOffset,
+  mirrorClipPath,
+  mirrorX,
+} from "../utils/direction";
+
+/**
+ * Custom hook for direction-aware animations
+ *
+ * Animations keep their left-to-right values and pass horizontal ones
+ * through these helpers, which mirror them in right-to-left locales.
+ * `arrows` holds the back/forward glyphs for the reading direction.
+ * useSectionAnimation already rebuilds every section when the direction
+ * changes.
+ *
+ * @returns {{
+ *   dir: "ltr" | "rtl",
+ *   isRtl: boolean,
+ *   sign: 1 | -1,
+ *   x: (value: number|string) => number|string,
+ *   clipPath: (shape: string) => string,
+ *   inlineOffset: (element: HTMLElement) => number,
+ *   arrows: { back: string, forward: string }
+ * }}
+ */
+export const useDirection = () => {
+  const { dir } = useLocale();
+
+  return useMemo(
+    () => ({
+      dir,
+      isRtl: dir === "rtl",
+      sign: getDirectionSign(dir),
+      x: (value) => mirrorX(value, dir),
+      clipPath: (shape) => mirrorClipPath(shape, dir),
+      inlineOffset: (element) => getInlineOffset(element, dir),
+      arrows: getArrows(dir),
+    }),
+    [dir]
+  );
+};
@@ -0,0 +1,61 @@
+// Import React hooks, the experiments context and the content hook
+import { useCallback, useContext, useEffect } from "react";
+import { ExperimentsContext } from "../context/ExperimentsContext";
+import { useContent } from "./useContent";
+
+// Copy of the control variant - the section's own copy, unchanged
+const CONTROL_COPY = {};
+
+/**
+ * Custom hook for one A/B experiment (see constants/experiments.js)
+ *
+ * Reports an exposure the first time the element in `ref` is on screen,
+ * or on mount without a ref, so below-the-fold sections only count
+ * visitors who actually saw them. Until the remote feature flags are in,
+ * the variant is "control" and nothing is reported.
+ *
+ * @param {string} id - Experiment id, e.g. "heroCopy"
+ * @param {Object} [options]
+ * @param {Object} [options.ref] - Ref to the element showing the variant
+ * @returns {{
+ *   variant: string,
+ *   copy: Object,
+ *   trackConversion: (goal: string) => void
+ * }} - `copy` is the variant's copy in the active locale, to spread over
+ *   the section's own copy
+ */
+export const useExperiment = (id, { ref } = {}) => {
+  const { getVariant, expose, convert } = useContext(ExperimentsContext);
+  const { experiments } = useContent();
+
+  const variant = getVariant(id);
+
+  // Exposure once the variant is on screen
+  useEffect(() => {
+    const element = ref?.current;
+    if (!element) {
+      expose(id);
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some((entry) => entry.isIntersecting)) return;
+      expose(id);
+      observer.disconnect();
+    });
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [id, ref, expose]);
+
+  const trackConversion = useCallback(
+    (goal) => convert(id, goal),
+    [id, convert]
+  );
+
+  return {
+    variant,
+    copy: experiments[id]?.[variant] ?? CONTROL_COPY,
+    trackConversion,
+  };
+};
@@ -0,0 +1,26 @@
+// Import React hook for reading context
+import { useContext } from "react";
+import { FeatureFlagsContext } from "../context/FeatureFlagsContext";
+
+/**
+ * Custom hook to read the resolved feature flags
+ *
+ * Flags combine the defaults, the remote flag file, localStorage and the
+ * `ff` query parameter (see utils/featureFlags.js).
+ *
+ * @returns {{
+ *   flags: Object,
+ *   remoteLoaded: boolean,
+ *   setFlag: (name: string, value: boolean|number|undefined) => void,
+ *   resetFlags: () => void
+ * }}
+ */
+export const useFeatureFlags = () => useContext(FeatureFlagsContext);
+
+/**
+ * Custom hook to read a single feature flag
+ *
+ * @param {string} name - Flag name, e.g. "heroVideo"
+ * @returns {boolean|number|undefined} - The resolved value
+ */
+export const useFeatureFlag = (name) => useFeatureFlags().flags[name];
@@ -0,0 +1,69 @@
+// Import React hook for side effects
+import { useEffect } from "react";
+
+// Elements that can receive keyboard focus
+const FOCUSABLE_SELECTOR = [
+  "a[href]",
+  "button:not([disabled])",
+  "input:not([disabled])",
+  "select:not([disabled])",
+  "textarea:not([disabled])",
+  "video[controls]",
+  '[tabindex]:not([tabindex="-1"])',
+].join(",");
+
+/**
+ * Custom hook that keeps keyboard focus inside a container
+ *
+ * While active, Tab and Shift+Tab cycle through the focusable elements of
+ * the container. The first focusable element (or the container itself)
+ * receives focus on activation, and focus returns to the previously
+ * focused element when the trap is released.
+ *
+ * @param {Object} containerRef - Ref to the dialog/overlay element
+ * @param {boolean} [active=true] - Whether the trap is engaged
+ */
+export const useFocusTrap = (containerRef, active = true) => {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+
+    // Remember where focus came from so it can be restored
+    const previouslyFocused = document.activeElement;
+
+    const getFocusable = () =>
+      Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR));
+
+    // Move focus into the container
+    (getFocusable()[0] || container).focus({ preventScroll: true });
+
+    const handleKeyDown = (event) => {
+      if (event.key !== "Tab") return;
+
+      const focusable = getFocusable();
+      if (!focusable.length) {
+        event.preventDefault();
+        return;
+      }
+
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+
+      // Wrap around at both ends
+      if (event.shiftKey && document.activeElement === first) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && document.activeElement === last) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    container.addEventListener("keydown", handleKeyDown);
+
+    return () => {
+      container.removeEventListener("keydown", handleKeyDown);
+      previouslyFocused?.focus?.({ preventScroll: true });
+    };
+  }, [containerRef, active]);
+};
@@ -0,0 +1,19 @@
+// Import React hook for reading context
+import { useContext } from "react";
+import { LocaleContext } from "../context/LocaleContext";
+
+/**
+ * Custom hook to read the active locale
+ *
+ * Sections that split text with SplitText add `locale` to their animation
+ * dependencies, so the splits and ScrollTriggers are rebuilt for the new
+ * copy (see LocaleProvider).
+ *
+ * @returns {{
+ *   locale: string,
+ *   dir: "ltr" | "rtl",
+ *   locales: Array<{ code: string, name: string }>,
+ *   setLocale: (locale: string) => void
+ * }}
+ */
+export const useLocale = () => useContext(LocaleContext);
@@ -0,0 +1,47 @@
+// Import React hooks and the media manager
+import { useCallback, useRef } from "react";
+import { registerMedia } from "../utils/mediaManager";
+
+/**
+ * Custom hook that puts a <video> under the media manager
+ *
+ * Render the video without `src`/`autoPlay` and pass `ref` to it - the
+ * manager attaches the source near the viewport and plays/pauses it by
+ * visibility. Works with conditionally rendered videos (the callback ref
+ * registers every mounted element).
+ *
+ * @param {Object} options
+ * @param {string} options.src - Video source
+ * @param {boolean} [options.autoplay=true] - Play whenever visible
+ * @param {Function} [options.onBlocked] - The browser refused autoplay
+ * @returns {{ ref: Function, videoRef: Object }} - Callback ref for the
+ *   element, and a ref object holding the mounted element
+ */
+export const useManagedVideo = ({ src, autoplay = true, onBlocked }) => {
+  const videoRef = useRef(null);
+
+  // Latest callback, so inline handlers don't re-register the video
+  const onBlockedRef = useRef(onBlocked);
+  onBlockedRef.current = onBlocked;
+
+  const ref = useCallback(
+    (video) => {
+      if (!video) return;
+
+      videoRef.current = video;
+      const unregister = registerMedia(video, {
+        src,
+        autoplay,
+        onBlocked: () => onBlockedRef.current?.(),
+      });
+
+      return () => {
+        unregister();
+        videoRef.current = null;
+      };
+    },
+    [src, autoplay]
+  );
+
+  return { ref, videoRef };
+};
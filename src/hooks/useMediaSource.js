@@ -0,0 +1,49 @@
+// Import React hooks and shared media helpers
+import { useEffect, useMemo, useState } from "react";
+import { useBreakpoint } from "./useBreakpoint";
+import { getNetworkHints, selectMediaSource } from "../utils/mediaSource";
+
+/**
+ * Custom hook that tracks the inputs of media source selection
+ *
+ * @returns {{ breakpoint: string, network: Object }} - Stable until the
+ *   breakpoint or the network conditions change
+ */
+export const useMediaContext = () => {
+  const breakpoint = useBreakpoint();
+  const [network, setNetwork] = useState(getNetworkHints);
+
+  // Follow Save-Data / effective type changes where the API exists
+  useEffect(() => {
+    const connection = navigator.connection;
+    if (!connection) return;
+
+    const handleChange = () => setNetwork(getNetworkHints());
+    connection.addEventListener("change", handleChange);
+
+    return () => connection.removeEventListener("change", handleChange);
+  }, []);
+
+  return useMemo(() => ({ breakpoint, network }), [breakpoint, network]);
+};
+
+/**
+ * Custom hook that picks the rendition (or still) of a media source
+ *
+ * Re-selects when the breakpoint or the network conditions change. Plain
+ * resizes within a breakpoint keep the current source so playing videos
+ * are not reloaded.
+ *
+ * @param {Object} media - mediaSources entry (keep the reference stable)
+ * @param {Object} [options]
+ * @param {boolean} [options.stillOnly=false] - Always pick the still
+ * @returns {Object|null} - selectMediaSource() result
+ */
+export const useMediaSource = (media, { stillOnly = false } = {}) => {
+  const context = useMediaContext();
+
+  return useMemo(
+    () => selectMediaSource(media, { ...context, stillOnly }),
+    [media, context, stillOnly]
+  );
+};
@@ -0,0 +1,122 @@
+// Import React hooks, the content hook and newsletter helpers
+import { useCallback, useRef, useState } from "react";
+import { useContent } from "./useContent";
+import { formatMessage } from "../utils/format";
+import { validateEmail } from "../utils/newsletter";
+import { createRateLimiter } from "../utils/rateLimiter";
+
+/**
+ * Status message in the active locale
+ *
+ * @param {Object} copy - `ui.newsletter` from the content file
+ * @param {Object} state - { status, reason, seconds }
+ * @returns {string} - Message, empty while idle
+ */
+const getMessage = (copy, { status, reason, seconds }) => {
+  switch (status) {
+    case "invalid":
+      return reason === "required" ? copy.emailRequired : copy.emailInvalid;
+    case "rate-limited":
+      return formatMessage(copy.rateLimited, { seconds });
+    case "submitting":
+      return copy.submitting;
+    case "success":
+      return copy.success;
+    case "already-subscribed":
+      return copy.alreadySubscribed;
+    case "error":
+      return reason === "network" ? copy.networkError : copy.serverError;
+    case "unavailable":
+      return copy.unavailable;
+    default:
+      return "";
+  }
+};
+
+/**
+ * Custom hook that drives the newsletter signup flow
+ *
+ * Status values:
+ * - "idle": nothing submitted yet
+ * - "invalid": client-side validation failed
+ * - "submitting": waiting for the adapter
+ * - "success": double opt-in confirmation email sent
+ * - "already-subscribed": address already on the list
+ * - "rate-limited": too many attempts, try again later
+ * - "error": the adapter failed
+ * - "unavailable": no adapter configured, submits are ignored
+ *
+ * Messages come from `ui.newsletter` in the content file and follow
+ * locale switches.
+ *
+ * @param {Object|null} adapter - Submission adapter ({ subscribe(email) }),
+ *   or null when signups are closed
+ * @returns {{ status: string, message: string, submit: (email: string) => Promise<string>, reset: () => void }}
+ *   `submit` resolves to the resulting status
+ */
+export const useNewsletterSignup = (adapter) => {
+  const copy = useContent().ui.newsletter;
+  const [state, setState] = useState({ status: "idle" });
+  const current = adapter ? state : { status: "unavailable" };
+
+  // At most 3 submits per minute, and never two within 5 seconds
+  const limiterRef = useRef(null);
+  if (!limiterRef.current) {
+    limiterRef.current = createRateLimiter({
+      limit: 3,
+      windowMs: 60000,
+      minIntervalMs: 5000,
+    });
+  }
+
+  const submit = useCallback(
+    async (email) => {
+      // Ignore submits while a request is in flight or signups are closed
+      if (!adapter) return "unavailable";
+      if (state.status === "submitting") return state.status;
+
+      const validationError = validateEmail(email);
+      if (validationError) {
+        setState({ status: "invalid", reason: validationError });
+        return "invalid";
+      }
+
+      const { allowed, retryAfterMs } = limiterRef.current.attempt();
+      if (!allowed) {
+        setState({
+          status: "rate-limited",
+          seconds: Math.ceil(retryAfterMs / 1000),
+        });
+        return "rate-limited";
+      }
+
+      setState({ status: "submitting" });
+
+      try {
+        const result = await adapter.subscribe(email);
+
+        if (result.status === "already-subscribed") {
+          setState({ status: "already-subscribed" });
+          return "already-subscribed";
+        }
+
+        // Double opt-in: the address is only active once confirmed
+        setState({ status: "success" });
+        return "success";
+      } catch (error) {
+        setState({ status: "error", reason: error.code });
+        return "error";
+      }
+    },
+    [adapter, state.status]
+  );
+
+  const reset = useCallback(() => setState({ status: "idle" }), []);
+
+  return {
+    status: current.status,
+    message: getMessage(copy, current),
+    submit,
+    reset,
+  };
+};
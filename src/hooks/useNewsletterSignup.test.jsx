@@ -0,0 +1,120 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { content } from "../content";
+import { createMockNewsletterAdapter } from "../utils/newsletter";
+import { useNewsletterSignup } from "./useNewsletterSignup";
+
+// Messages from the default (English) content
+const copy = content.ui.newsletter;
+
+// Mounted roots, unmounted after each test
+const roots = [];
+
+/**
+ * Render the hook in a bare component and expose its latest return value
+ *
+ * @param {Object|null} adapter - Submission adapter
+ * @returns {{ current: Object }}
+ */
+const renderSignup = (adapter) => {
+  const result = {};
+
+  const Probe = () => {
+    result.current = useNewsletterSignup(adapter);
+    return null;
+  };
+
+  const root = createRoot(document.createElement("div"));
+  roots.push(root);
+  act(() => root.render(<Probe />));
+
+  return result;
+};
+
+// Submit through the hook and wait for the adapter to settle
+const submit = async (result, email) => {
+  let status;
+  await act(async () => {
+    status = await result.current.submit(email);
+  });
+  return status;
+};
+
+describe("useNewsletterSignup", () => {
+  afterEach(() => {
+    roots.splice(0).forEach((root) => act(() => root.unmount()));
+  });
+
+  const createAdapter = () =>
+    createMockNewsletterAdapter({ delay: 0, storageKey: null });
+
+  it("starts idle without a message", () => {
+    const result = renderSignup(createAdapter());
+
+    expect(result.current.status).toBe("idle");
+    expect(result.current.message).toBe("");
+  });
+
+  it("rejects an invalid address without calling the adapter", async () => {
+    const adapter = { subscribe: vi.fn() };
+    const result = renderSignup(adapter);
+
+    expect(await submit(result, "")).toBe("invalid");
+    expect(result.current.message).toBe(copy.emailRequired);
+
+    expect(await submit(result, "milk@")).toBe("invalid");
+    expect(result.current.message).toBe(copy.emailInvalid);
+
+    expect(adapter.subscribe).not.toHaveBeenCalled();
+  });
+
+  it("reports a signup and an existing subscriber", async () => {
+    vi.useFakeTimers({ toFake: ["Date"] });
+
+    try {
+      const result = renderSignup(createAdapter());
+
+      expect(await submit(result, "milk@spylt.com")).toBe("success");
+      expect(result.current.message).toBe(copy.success);
+
+      // Past the minimum gap between submits
+      vi.advanceTimersByTime(5000);
+
+      expect(await submit(result, "milk@spylt.com")).toBe("already-subscribed");
+      expect(result.current.message).toBe(copy.alreadySubscribed);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it("shows the message matching the adapter failure", async () => {
+    const adapter = {
+      subscribe: () =>
+        Promise.reject(
+          Object.assign(new Error("offline"), { code: "network" })
+        ),
+    };
+    const result = renderSignup(adapter);
+
+    expect(await submit(result, "milk@spylt.com")).toBe("error");
+    expect(result.current.message).toBe(copy.networkError);
+  });
+
+  it("rate-limits repeat submits", async () => {
+    const result = renderSignup(createAdapter());
+
+    await submit(result, "milk@spylt.com");
+
+    expect(await submit(result, "cream@spylt.com")).toBe("rate-limited");
+    expect(result.current.message).toMatch(/\d+s/);
+  });
+
+  it("stays unavailable without an adapter", async () => {
+    const result = renderSignup(null);
+
+    expect(result.current.status).toBe("unavailable");
+    expect(result.current.message).toBe(copy.unavailable);
+    expect(await submit(result, "milk@spylt.com")).toBe("unavailable");
+  });
+});
@@ -0,0 +1,13 @@
+// Import React hook for reading context
+import { useContext } from "react";
+import { PreloaderContext } from "../context/PreloaderContext";
+
+/**
+ * Custom hook to read the asset preloader state
+ *
+ * `ready` is the hand-off point: critical media and fonts are loaded and the
+ * hero intro timeline may start.
+ *
+ * @returns {Object} - See PreloaderContext for the full shape
+ */
+export const usePreloader = () => useContext(PreloaderContext);
@@ -0,0 +1,19 @@
+// Import React hook for reading context
+import { useContext } from "react";
+import { ReducedMotionContext } from "../context/ReducedMotionContext";
+
+/**
+ * Custom hook to read the global reduced-motion preference
+ *
+ * Combines the visitor's `prefers-reduced-motion` system setting with the
+ * toggle persisted in localStorage (see ReducedMotionProvider).
+ *
+ * @returns {{
+ *   reducedMotion: boolean,
+ *   systemReducedMotion: boolean,
+ *   preference: "system" | "reduce" | "no-preference",
+ *   setPreference: (preference: string) => void,
+ *   toggleReducedMotion: () => void
+ * }}
+ */
+export const useReducedMotion = () => useContext(ReducedMotionContext);
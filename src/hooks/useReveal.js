@@ -0,0 +1,76 @@
+// Import React hooks, GSAP and the reveal presets
+import { useRef } from "react";
+import gsap from "gsap";
+import { useFontsLoaded } from "./useFontsLoaded";
+import { useLocale } from "./useLocale";
+import { useSectionAnimation } from "./useSectionAnimation";
+import {
+  getRevealAttributes,
+  isSplitReveal,
+  reveal,
+  revealEnd,
+} from "../utils/reveal";
+
+/**
+ * Custom hook that reveals an element with a preset from utils/reveal.js
+ *
+ * Two ways to opt in:
+ * - Props: `useReveal("clipReveal", { direction: "start" })` reveals the
+ *   element the returned ref is attached to
+ * - Data attributes: `useReveal()` reveals every element in the ref's
+ *   subtree (the element itself included) marked with
+ *   `data-reveal="<preset>"`, configured by `data-reveal-*` attributes,
+ *   e.g. `data-reveal-direction="end" data-reveal-start="top 60%"`.
+ *   Don't nest two attribute scopes.
+ *
+ * Reveals are built through useSectionAnimation, so they follow the
+ * reduced-motion mode (revealed state, no animation) and the text
+ * direction. Text presets wait for fonts and rebuild on a locale change.
+ *
+ * @param {string} [preset] - Preset name; omit to read data attributes
+ * @param {Object} [options] - Per-instance overrides (see reveal())
+ * @param {Array} [dependencies] - Extra values that should rebuild it
+ * @returns {React.RefObject} - Ref for the revealed element or scope
+ */
+export const useReveal = (preset, options = {}, dependencies = []) => {
+  const ref = useRef();
+  const fontsLoaded = useFontsLoaded();
+  const { locale, dir } = useLocale();
+
+  // Each element to reveal with its preset and options
+  const getReveals = () => {
+    if (preset) return [{ element: ref.current, name: preset, options }];
+
+    return gsap.utils
+      .toArray("[data-reveal]", ref.current)
+      .concat(ref.current.matches("[data-reveal]") ? ref.current : [])
+      .map((element) => ({
+        element,
+        name: element.dataset.reveal,
+        options: getRevealAttributes(element),
+      }));
+  };
+
+  useSectionAnimation(
+    {
+      animation: () => {
+        getReveals().forEach(({ element, name, options }) => {
+          // Splits measured before the fonts load would shift afterwards
+          if (isSplitReveal(name) && !fontsLoaded) return;
+          reveal(element, name, { ...options, dir });
+        });
+      },
+      reduced: () => {
+        getReveals().forEach(({ element, name, options }) =>
+          revealEnd(element, name, { ...options, dir })
+        );
+      },
+    },
+    // Options are compared by value so inline objects don't rebuild the
+    // reveal on every render
+    [preset, JSON.stringify(options), fontsLoaded, locale, ...dependencies],
+    { scope: ref }
+  );
+
+  return ref;
+};
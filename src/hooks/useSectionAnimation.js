@@ -0,0 +1,102 @@
+// Import GSAP, its React hook and shared animation helpers
+import gsap from "gsap";
+import { useGSAP } from "@gsap/react";
+import { breakpoints } from "../constants";
+import { getActiveBreakpoint } from "./useBreakpoint";
+import { useLocale } from "./useLocale";
+import { useReducedMotion } from "./useReducedMotion";
+import { scheduleScrollRefresh } from "../utils/scrollRefresh";
+
+/**
+ * Custom hook that lets a section declare its responsive and reduced-motion
+ * animation variants
+ *
+ * `animation` is either a single builder (same timelines on every screen) or
+ * an object of breakpoint builders:
+ * - all: runs on every breakpoint
+ * - desktop / tablet / mobile: runs only while that breakpoint is active
+ *
+ * Breakpoint builders are registered with gsap.matchMedia, so crossing a
+ * breakpoint (rotating a tablet, resizing a window) automatically reverts
+ * every tween, pin and gsap.set made by the previous builder and runs the
+ * new one. Each builder receives the active breakpoint name and may return
+ * a cleanup function for work GSAP does not track (listeners, registries).
+ *
+ * The `reduced` builder applies the static, fully revealed end state used
+ * when the global reduced-motion mode is on (no pinning, splitting or
+ * clip-path reveals).
+ *
+ * Switching between left-to-right and right-to-left locales rebuilds the
+ * variant too, so horizontal values passed through useDirection are
+ * mirrored and layouts are measured in the new direction.
+ *
+ * After any rebuild a single, coalesced ScrollTrigger.refresh is queued.
+ *
+ * Pass `options.scope` (a ref to the component root) so selector strings
+ * in the builders - targets, triggers, gsap.utils.toArray - only match
+ * inside this instance. A section rendered twice then builds two
+ * independent sets of timelines. The root itself is not matched by
+ * selectors; use `ref.current` for it.
+ *
+ * @param {Object} variants
+ * @param {Function|Object} variants.animation - Full-motion builder(s)
+ * @param {Function} [variants.reduced] - Applies the reduced-motion end state
+ * @param {Array} [dependencies] - Extra values that should rebuild the variant
+ * @param {Object} [options] - Additional useGSAP options (e.g. scope)
+ */
+export const useSectionAnimation = (
+  { animation, reduced },
+  dependencies = [],
+  options = {}
+) => {
+  const { reducedMotion } = useReducedMotion();
+  const { dir } = useLocale();
+
+  useGSAP(
+    () => {
+      // Reduced motion: apply the declared static variant (if any) and stop
+      if (reducedMotion) {
+        const cleanup = reduced?.();
+        scheduleScrollRefresh();
+        return cleanup;
+      }
+
+      // Normalize a single builder into the breakpoint builder shape
+      const builders =
+        typeof animation === "function" ? { all: animation } : animation;
+
+      // Full motion: rebuilt by gsap.matchMedia whenever a breakpoint changes
+      const mm = gsap.matchMedia();
+
+      mm.add(
+        breakpoints,
+        (context) => {
+          const breakpoint = getActiveBreakpoint(context.conditions);
+
+          // Breakpoint builders run first so their pins are created before
+          // any shared trigger that depends on the pin spacing
+          const cleanups = [
+            builders[breakpoint]?.(breakpoint),
+            builders.all?.(breakpoint),
+          ];
+
+          // Re-measure once every section has rebuilt for this breakpoint
+          scheduleScrollRefresh();
+
+          // Run cleanups returned by the builders when the breakpoint reverts
+          return () => {
+            cleanups.forEach((cleanup) => {
+              if (typeof cleanup === "function") cleanup();
+            });
+          };
+        },
+        options.scope
+      );
+    },
+    {
+      ...options,
+      dependencies: [...dependencies, reducedMotion, dir],
+      revertOnUpdate: true, // Revert the previous variant before rebuilding
+    }
+  );
+};
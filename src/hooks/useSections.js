@@ -0,0 +1,63 @@
+// Import React hooks, the section registry and the page config
+import { useMemo } from "react";
+import { homeSections } from "../constants";
+import { resolveSections } from "../sections/registry";
+import { getSectionFlag } from "../utils/featureFlags";
+import { useContent } from "./useContent";
+import { useFeatureFlags } from "./useFeatureFlags";
+
+/**
+ * Custom hook for the home page sections and their navigation links
+ *
+ * Shared by the home page (rendering and active-section tracking) and the
+ * NavBar (links), so hidden or reordered sections disappear from both.
+ * `<id>Section` feature flags (e.g. `?ff=noTestimonialsSection`) override
+ * the page config's `enabled`.
+ *
+ * @returns {{
+ *   sections: Array<Object>,
+ *   navSections: Array<{ id: string, start?: string }>,
+ *   navLinks: Array<{ id: string, label: string, start?: string }>
+ * }}
+ */
+export const useSections = () => {
+  const { navigation } = useContent();
+  const { flags } = useFeatureFlags();
+
+  // Page config with the section flags applied
+  const sections = useMemo(
+    () =>
+      resolveSections(
+        homeSections.map((entry) => {
+          const enabled = flags[getSectionFlag(entry.id)];
+          return enabled === undefined ? entry : { ...entry, enabled };
+        })
+      ),
+    [flags]
+  );
+
+  // Navigable sections in page order. `start` is the position a link
+  // scrolls to (see layout.pinStart). Kept apart from the labels so
+  // section markers aren't rebuilt on a locale change.
+  const navSections = useMemo(
+    () =>
+      sections
+        .filter((section) => section.nav)
+        .map(({ id, layout }) => ({ id, start: layout.pinStart })),
+    [sections]
+  );
+
+  // Navigation links, labelled in the active locale
+  const navLinks = useMemo(
+    () =>
+      navSections.map((section) => ({
+        ...section,
+        label:
+          navigation.find((link) => link.id === section.id)?.label ??
+          section.id,
+      })),
+    [navSections, navigation]
+  );
+
+  return { sections, navSections, navLinks };
+};
@@ -1,10 +1,31 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
+import { BrowserRouter } from 'react-router'
 import './index.css'
 import App from './App.jsx'
+import ReducedMotionProvider from './components/ReducedMotionProvider.jsx'
+import FontLoadingProvider from './components/FontLoadingProvider.jsx'
+import PreloaderProvider from './components/PreloaderProvider.jsx'
+import LocaleProvider from './components/LocaleProvider.jsx'
+import FeatureFlagsProvider from './components/FeatureFlagsProvider.jsx'
+import ExperimentsProvider from './components/ExperimentsProvider.jsx'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    <BrowserRouter>
+      <FeatureFlagsProvider>
+        <ExperimentsProvider>
+          <LocaleProvider>
+            <FontLoadingProvider>
+              <PreloaderProvider>
+                <ReducedMotionProvider>
+                  <App />
+                </ReducedMotionProvider>
+              </PreloaderProvider>
+            </FontLoadingProvider>
+          </LocaleProvider>
+        </ExperimentsProvider>
+      </FeatureFlagsProvider>
+    </BrowserRouter>
   </StrictMode>,
 )
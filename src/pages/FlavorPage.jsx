@@ -0,0 +1,228 @@
+// Import routing, GSAP and shared components
+import { useEffect, useRef } from "react";
+import { Link, useParams } from "react-router";
+import gsap from "gsap";
+import NavBar from "../components/NavBar";
+import FooterSection from "../sections/FooterSection";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { formatAmount, formatMessage } from "../utils/format";
+
+/**
+ * FlavorPage Component
+ *
+ * Detail page for a single flavor at `/flavors/:slug`, reached from the
+ * FlavorSlider cards. Shows the drink with its elements art, the flavor
+ * description, ingredients and nutrition facts (each left out when the
+ * content file has none for the flavor), plus links to the neighbouring
+ * flavors.
+ *
+ * Animation:
+ * - Background card, drink and elements rise in on load
+ * - Info column slides in with a stagger
+ * - Reduced motion: everything is rendered in place
+ */
+const FlavorPage = () => {
+  const { slug } = useParams();
+
+  // Ref for scoped GSAP selectors
+  const mainRef = useRef();
+
+  // Flavors and page copy in the active locale
+  const {
+    locale,
+    ui,
+    flavors: { items: flavorlists, detail },
+  } = useContent();
+
+  // The info column slides in from the inline end; arrows point along the
+  // reading direction
+  const { x, arrows } = useDirection();
+
+  // Resolve the flavor and its neighbours (wrapping around the list)
+  const index = flavorlists.findIndex((flavor) => flavor.slug === slug);
+  const flavor = flavorlists[index];
+  const previous =
+    flavorlists[(index - 1 + flavorlists.length) % flavorlists.length];
+  const next = flavorlists[(index + 1) % flavorlists.length];
+
+  // Page title per flavor
+  useEffect(() => {
+    document.title = `${flavor ? flavor.name : detail.notFound} | Spylt`;
+    return () => {
+      document.title = "Spylt";
+    };
+  }, [flavor, detail]);
+
+  // Entrance animation - rebuilt when navigating between flavors
+  useSectionAnimation(
+    {
+      animation: () => {
+        if (!flavor) return;
+
+        const tl = gsap.timeline({ delay: 0.2 });
+
+        tl.from(".flavor-detail-bg", {
+          yPercent: 30, // Rise in from below
+          opacity: 0,
+          duration: 0.8,
+          ease: "power2.out",
+        })
+          .from(
+            ".flavor-detail-drink",
+            {
+              yPercent: 40,
+              opacity: 0,
+              duration: 0.8,
+              ease: "power3.out",
+            },
+            "-=0.5"
+          )
+          .from(
+            ".flavor-detail-elements",
+            {
+              scale: 0.8,
+              opacity: 0,
+              duration: 0.8,
+              ease: "back.out(1.7)",
+            },
+            "-=0.6"
+          )
+          .from(
+            ".flavor-detail-info > *",
+            {
+              x: x(60),
+              opacity: 0,
+              stagger: 0.08, // 0.08s delay between each block
+              duration: 0.6,
+              ease: "power2.out",
+            },
+            "<"
+          );
+      },
+      // Reduced motion: the markup is already in its final state
+      reduced: () => {},
+    },
+    [slug],
+    { scope: mainRef }
+  );
+
+  return (
+    <>
+      {/* Navigation bar - positioned outside smooth wrapper for fixed positioning */}
+      <NavBar />
+
+      {/* ScrollSmoother wrapper - required for smooth scrolling functionality */}
+      <div id="smooth-wrapper">
+        <div id="smooth-content">
+          {/* Main landmark - target of the skip link */}
+          <main ref={mainRef} id="main-content" tabIndex={-1}>
+            {flavor ? (
+              <section className="flavor-detail">
+                {/* Artwork: flavor background, drink and decorative elements */}
+                <div className="flavor-detail-art">
+                  <img
+                    src={`/images/${flavor.color}-bg.svg`}
+                    alt=""
+                    className="flavor-detail-bg"
+                  />
+                  <img
+                    src={`/images/${flavor.color}-drink.webp`}
+                    alt={formatMessage(ui.flavorCard.can, {
+                      name: flavor.name,
+                    })}
+                    className="flavor-detail-drink"
+                  />
+                  <img
+                    src={`/images/${flavor.color}-elements.webp`}
+                    alt=""
+                    className="flavor-detail-elements"
+                  />
+                </div>
+
+                {/* Flavor information */}
+                <div className="flavor-detail-info">
+                  <Link to={`/#flavors/${flavor.slug}`} className="back-link">
+                    <span aria-hidden="true">{arrows.back}</span> {detail.back}
+                  </Link>
+
+                  <h1 className="general-title">{flavor.name}</h1>
+
+                  <p className="font-paragraph md:text-xl text-lg">
+                    {flavor.description}
+                  </p>
+
+                  {/* Nutrition facts */}
+                  {flavor.nutrition && (
+                    <div>
+                      <h2>{detail.nutrition}</h2>
+                      <ul className="flavor-detail-nutrition">
+                        {flavor.nutrition.map((nutrient) => (
+                          <li key={nutrient.label}>
+                            <p className="font-paragraph text-sm">
+                              {nutrient.label}
+                            </p>
+                            <p className="text-3xl font-bold tracking-tighter">
+                              {formatAmount(
+                                nutrient.amount,
+                                nutrient.unit,
+                                locale
+                              )}
+                            </p>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {/* Ingredients */}
+                  {flavor.ingredients && (
+                    <div>
+                      <h2>{detail.ingredients}</h2>
+                      <p className="font-paragraph">
+                        {flavor.ingredients.join(", ")}
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Neighbouring flavors - previous at the inline start (the
+                      right in RTL, where the row flows from the right) */}
+                  <nav
+                    aria-label={detail.more}
+                    className="flex justify-between gap-5"
+                  >
+                    <Link
+                      to={`/flavors/${previous.slug}`}
+                      className="back-link"
+                    >
+                      <span aria-hidden="true">{arrows.back}</span>{" "}
+                      {previous.name}
+                    </Link>
+                    <Link to={`/flavors/${next.slug}`} className="back-link">
+                      {next.name}{" "}
+                      <span aria-hidden="true">{arrows.forward}</span>
+                    </Link>
+                  </nav>
+                </div>
+              </section>
+            ) : (
+              // Unknown slug: friendly not-found state
+              <section className="flavor-detail !flex-col justify-center text-center">
+                <h1 className="general-title">{detail.notFound}</h1>
+                <Link to="/#flavors" className="back-link">
+                  <span aria-hidden="true">{arrows.back}</span>{" "}
+                  {detail.backToAll}
+                </Link>
+              </section>
+            )}
+          </main>
+
+          <FooterSection />
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default FlavorPage;
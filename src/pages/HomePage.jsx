@@ -0,0 +1,76 @@
+// Component imports - organized by type for better readability
+import NavBar from "../components/NavBar";
+import { groupSections } from "../sections/registry";
+
+// Hooks for the configured sections and section navigation
+import { useActiveSection } from "../hooks/useActiveSection";
+import { useDeepLinking } from "../hooks/useDeepLinking";
+import { useSections } from "../hooks/useSections";
+
+/**
+ * Render a run of sections - coupled sections (one overlapping the pin of
+ * the one before) share a wrapper so they scroll as one block
+ *
+ * @param {Array<Object>} group - Sections from groupSections
+ */
+const renderGroup = (group) => {
+  const sections = group.map((section) => {
+    const Section = section.component;
+    return (
+      <Section key={section.id} id={section.id} overlap={section.overlap} />
+    );
+  });
+
+  return group.length === 1 ? (
+    sections[0]
+  ) : (
+    <div key={group.map(({ id }) => id).join("+")}>{sections}</div>
+  );
+};
+
+/**
+ * HomePage Component
+ *
+ * The single-page scroll experience at "/". Sections come from the page
+ * config (constants/sections.js) resolved against the section registry
+ * (sections/registry.js); every section handles its own animations. The
+ * page tracks the active section for the NavBar and keeps the URL hash in
+ * sync with it.
+ */
+const HomePage = () => {
+  // Enabled sections in page order and the navigable ones
+  const { sections, navSections } = useSections();
+
+  // Section currently in view, tracked with pin-aware ScrollTriggers
+  const activeId = useActiveSection(navSections);
+
+  // Keep the URL hash in sync with the active section (shareable links)
+  useDeepLinking(activeId, navSections);
+
+  return (
+    <>
+      {/* Navigation bar - positioned outside smooth wrapper for fixed positioning */}
+      <NavBar activeId={activeId} />
+
+      {/* ScrollSmoother wrapper - required for smooth scrolling functionality */}
+      <div id="smooth-wrapper">
+        <div id="smooth-content">
+          {/* Main landmark - target of the skip link */}
+          <main id="main-content" tabIndex={-1}>
+            {/* Configured sections - each handles its own animations and content */}
+            {groupSections(
+              sections.filter((section) => section.region === "main")
+            ).map(renderGroup)}
+          </main>
+
+          {/* Footer region - after main, outside the landmark */}
+          {groupSections(
+            sections.filter((section) => section.region === "footer")
+          ).map(renderGroup)}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default HomePage;
@@ -0,0 +1,61 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/all";
+import BenefitSection from "./BenefitSection";
+
+// Registered by App in the running site
+gsap.registerPlugin(ScrollTrigger);
+
+// ScrollTriggers whose trigger element sits inside a section
+const getTriggersIn = (section) =>
+  ScrollTrigger.getAll().filter((trigger) => section.contains(trigger.trigger));
+
+describe("BenefitSection", () => {
+  let container;
+  let root;
+
+  beforeEach(async () => {
+    container = document.body.appendChild(document.createElement("div"));
+    root = createRoot(container);
+
+    await act(async () => {
+      root.render(
+        <>
+          <BenefitSection id="benefits-a" />
+          <BenefitSection id="benefits-b" />
+        </>
+      );
+    });
+  });
+
+  afterEach(async () => {
+    await act(async () => root.unmount());
+    container.remove();
+  });
+
+  it("builds independent title reveals and video pins per section", () => {
+    const sections = [...container.querySelectorAll(".benefit-section")];
+    const [first, second] = sections.map(getTriggersIn);
+
+    // Four title reveals and one video pin in each section, none shared
+    expect(first).toHaveLength(5);
+    expect(second).toHaveLength(5);
+    expect(first.filter((trigger) => second.includes(trigger))).toEqual([]);
+
+    sections.forEach((section, index) => {
+      const pins = getTriggersIn(section).filter((trigger) => trigger.pin);
+      expect(pins).toHaveLength(1);
+
+      // The pinned timeline only animates elements of its own section
+      const targets = pins[0].animation
+        .getChildren()
+        .flatMap((tween) => tween.targets());
+      expect(targets.length).toBeGreaterThan(0);
+      targets.forEach((target) =>
+        expect(sections[index].contains(target)).toBe(true)
+      );
+    });
+  });
+});
@@ -16,14 +16,17 @@ import FlavorSlider from "../components/FlavorSlider";
  * - Desktop: Side-by-side layout (57% title, 43% slider)
  * - Mobile/Tablet: Stacked layout (title on top, slider below)
  *
+ * Props:
+ * @param {string} [id="flavors"] - Section id (URL hash and deep-link key)
+ *
  * Animation Coordination:
  * - Both components use the same trigger (".flavor-section") for synchronized animations
  * - FlavorTitle handles text reveal animations
  * - FlavorSlider handles horizontal scroll and title parallax effects
  */
-const FlavorSection = () => {
+const FlavorSection = ({ id = "flavors" }) => {
   return (
-    <section className="flavor-section">
+    <section id={id} className="flavor-section">
       <div className="h-full flex lg:flex-row flex-col items-center relative">
         {/* Title section - takes up 57% width on desktop, full width on mobile */}
         <div className="lg:w-[57%] flex-none h-80 lg:h-full md:mt-20 xl:mt-0">
@@ -0,0 +1,132 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { MemoryRouter } from "react-router";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/all";
+import FlavorSection from "./FlavorSection";
+import { getSectionScrollPosition } from "../utils/sectionScroll";
+
+// Registered by App in the running site
+gsap.registerPlugin(ScrollTrigger);
+
+// Page offset of the second section and spacing between flavor cards
+// (jsdom has no layout)
+const SECOND_TOP = 4000;
+const CARD_SPACING = 300;
+
+// Mount a flavor section in its own root, so each can unmount on its own
+const mountSection = async (id) => {
+  const container = document.body.appendChild(document.createElement("div"));
+  const root = createRoot(container);
+
+  await act(async () => {
+    root.render(
+      <MemoryRouter>
+        <FlavorSection id={id} />
+      </MemoryRouter>
+    );
+  });
+
+  return { root, container, section: container.querySelector("section") };
+};
+
+// Unmount a mounted section and drop its container
+const unmountSection = async ({ root, container }) => {
+  await act(async () => root.unmount());
+  container.remove();
+};
+
+// The pinned horizontal-scroll trigger built for a section
+const getPin = (section) =>
+  ScrollTrigger.getAll().find(
+    (trigger) => trigger.pin && trigger.trigger === section
+  );
+
+describe("FlavorSection", () => {
+  let mounted;
+
+  beforeEach(async () => {
+    mounted = [
+      await mountSection("flavors-a"),
+      await mountSection("flavors-b"),
+    ];
+
+    // Lay the cards out in a row, so each flavor sits at its own point of
+    // the pinned scroll
+    mounted.forEach(({ section }) =>
+      section.querySelectorAll("[data-flavor]").forEach((card, index) =>
+        Object.defineProperty(card, "offsetLeft", {
+          value: index * CARD_SPACING,
+        })
+      )
+    );
+
+    // Place the second section further down the page and re-measure
+    mounted[1].section.getBoundingClientRect = () => ({
+      top: SECOND_TOP,
+      bottom: SECOND_TOP,
+      left: 0,
+      right: 0,
+      width: 0,
+      height: 0,
+    });
+    ScrollTrigger.refresh();
+  });
+
+  afterEach(async () => {
+    for (const entry of mounted) {
+      if (entry.container.isConnected) await unmountSection(entry);
+    }
+  });
+
+  it("builds an independent pinned timeline per section", () => {
+    const [first, second] = mounted.map(({ section }) => getPin(section));
+
+    expect(first).toBeDefined();
+    expect(second).toBeDefined();
+    expect(first).not.toBe(second);
+    expect(first.animation).not.toBe(second.animation);
+
+    // Each timeline moves its own section
+    expect(first.animation.getChildren()[0].targets()).toEqual([
+      mounted[0].section,
+    ]);
+    expect(second.animation.getChildren()[0].targets()).toEqual([
+      mounted[1].section,
+    ]);
+
+    expect(second.start).toBe(SECOND_TOP);
+  });
+
+  it("resolves flavor anchors inside each section's own pin", () => {
+    const [first, second] = mounted.map(({ section }) => getPin(section));
+    const firstPosition = getSectionScrollPosition(
+      "flavors-a",
+      "cookies-cream"
+    );
+    const secondPosition = getSectionScrollPosition(
+      "flavors-b",
+      "cookies-cream"
+    );
+
+    // Past the section start (where an unresolved anchor falls back to)
+    // and before the end of that section's pin
+    expect(firstPosition).toBeGreaterThan(first.start + 1);
+    expect(firstPosition).toBeLessThan(first.end);
+    expect(secondPosition).toBeGreaterThan(second.start + 1);
+    expect(secondPosition).toBeLessThan(second.end);
+  });
+
+  it("keeps the other section's anchors when one unmounts", async () => {
+    const second = getPin(mounted[1].section);
+
+    await unmountSection(mounted[0]);
+
+    expect(getPin(mounted[1].section)).toBe(second);
+    expect(
+      getSectionScrollPosition("flavors-b", "cookies-cream")
+    ).toBeGreaterThan(second.start + 1);
+    expect(getSectionScrollPosition("flavors-a", "cookies-cream")).toBeNull();
+  });
+});
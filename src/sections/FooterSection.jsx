@@ -1,14 +1,67 @@
-// Import media query hook for responsive design
-import { useMediaQuery } from "react-responsive";
+// Import routing, media sources, shared components and the content hook
+import { Link, useLocation } from "react-router";
+import { mediaSources } from "../constants";
+import AdaptiveVideo from "../components/AdaptiveVideo";
+import { useContent } from "../hooks/useContent";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import NewsletterForm from "../components/NewsletterForm";
+import { parseSectionHash } from "../hooks/useDeepLinking";
+import { scrollToSection } from "../utils/sectionScroll";
 
-const FooterSection = () => {
-  // Detect mobile devices for responsive content switching
-  const isMobile = useMediaQuery({
-    query: "(max-width: 768px)",
-  });
+/**
+ * Footer link - site paths go through the router (no page reload), and
+ * section links on the home page scroll there like the NavBar does.
+ * Entries without an href (pages that do not exist yet) are plain text.
+ *
+ * @param {Object} link - { label, href? } from the content file
+ */
+const FooterLink = ({ link }) => {
+  const { pathname } = useLocation();
+  const { reducedMotion } = useReducedMotion();
+
+  if (!link.href) return <span>{link.label}</span>;
+
+  // External and mailto: links leave the app
+  if (!link.href.startsWith("/")) {
+    return (
+      <a href={link.href} className="footer-link">
+        {link.label}
+      </a>
+    );
+  }
+
+  const [path, hash] = link.href.split("#");
+
+  const handleClick = (event) => {
+    if (!hash || path !== "/" || pathname !== "/") return;
+
+    const { id, anchor } = parseSectionHash(hash);
+    if (scrollToSection(id, { anchor, smooth: !reducedMotion })) {
+      event.preventDefault();
+    }
+  };
+
+  return (
+    <Link to={link.href} onClick={handleClick} className="footer-link">
+      {link.label}
+    </Link>
+  );
+};
+
+/**
+ * FooterSection Component
+ *
+ * Newsletter sign-up, link columns, social links and the closing video.
+ *
+ * Props:
+ * @param {string} [id="footer"] - Section id (URL hash and nav marker)
+ */
+const FooterSection = ({ id = "footer" }) => {
+  // Copy, links and media from the content file
+  const { footer, ui } = useContent();
 
   return (
-    <section className="footer-section">
+    <footer id={id} className="footer-section">
       {/* Decorative dip image at the top of footer - creates visual transition */}
       <img
         src="/images/footer-dip.png"
@@ -20,90 +73,81 @@ const FooterSection = () => {
       <div className="2xl:h-[110dvh] relative md:pt-[20vh] pt-[10vh]">
         {/* Brand tagline section with overflow hidden for potential animations */}
         <div className="overflow-hidden z-10">
-          <h1 className="general-title text-center text-milk py-5">
-            #CHUGRESPONSIBLY
-          </h1>
+          <h2 className="general-title text-center text-milk py-5">
+            {footer.hashtag}
+          </h2>
         </div>
 
-        {/* Conditional rendering based on device type */}
-        {isMobile ? (
-          // Mobile: Static image for better performance and data usage
-          <img
-            src="/images/footer-drink.png"
-            className="absolute top-0 object-contain"
-            alt="Spylt drink"
-          />
-        ) : (
-          // Desktop: Animated video with blend mode for visual effect
-          <video
-            src="/videos/splash.mp4"
-            autoPlay
-            playsInline
-            muted
-            className="absolute top-0 object-contain mix-blend-lighten"
-          />
-        )}
+        {/* Splash video - the still image on mobile, Save-Data or slow
+            connections (see mediaSources.footerSplash) */}
+        <AdaptiveVideo
+          media={mediaSources.footerSplash}
+          className="absolute top-0 object-contain"
+          videoClassName="mix-blend-lighten" // Blend mode for visual effect
+        />
 
         {/* Social media links section */}
-        <div className="flex-center gap-5 relative z-10 md:mt-20 mt-5">
-          <div className="social-btn">
-            <img src="./images/yt.svg" alt="YouTube" />
-          </div>
-          <div className="social-btn">
-            <img src="./images/insta.svg" alt="Instagram" />
-          </div>
-          <div className="social-btn">
-            <img src="./images/tiktok.svg" alt="TikTok" />
-          </div>
-        </div>
+        <nav aria-label={ui.socialNav} className="relative z-10">
+          <ul className="flex-center gap-5 md:mt-20 mt-5">
+            {footer.social.map((link) => (
+              <li key={link.label}>
+                {/* Icon only until the brand's account URL is configured */}
+                {link.href ? (
+                  <a
+                    href={link.href}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="social-btn"
+                  >
+                    <img src={link.icon} alt={link.label} />
+                  </a>
+                ) : (
+                  <span className="social-btn">
+                    <img src={link.icon} alt={link.label} />
+                  </span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </nav>
 
         {/* Main footer content with navigation links and newsletter signup */}
         <div className="mt-40 md:px-10 px-5 flex gap-10 md:flex-row flex-col justify-between text-milk font-paragraph md:text-lg font-medium">
           {/* Left side: Navigation links organized in columns */}
-          <div className="flex items-center md:gap-16 gap-5">
-            <div>
-              <p>SPYLT Flavors</p>
-            </div>
-            <div>
-              <p>Chug Club</p>
-              <p>Student Marketing</p>
-              <p>Dairy Dealers</p>
-            </div>
-            <div>
-              <p>Company</p>
-              <p>Contacts</p>
-              <p>Tasty Talk</p>
-            </div>
-          </div>
+          <nav
+            aria-label={ui.footerNav}
+            className="flex items-center md:gap-16 gap-5"
+          >
+            {footer.linkColumns.map((column, index) => (
+              <ul key={index}>
+                {column.map((link) => (
+                  <li key={link.label}>
+                    <FooterLink link={link} />
+                  </li>
+                ))}
+              </ul>
+            ))}
+          </nav>
 
           {/* Right side: Newsletter signup section */}
           <div className="md:max-w-lg">
-            <p>
-              Get Exclusive Early Access and Stay Informed About Product
-              Updates, Events, and More!
-            </p>
-            {/* Email input with styled border and arrow icon */}
-            <div className="flex justify-between items-center border-b border-[#D9D9D9] py-5 md:mt-10">
-              <input
-                type="email"
-                placeholder="Enter your email"
-                className="w-full placeholder:font-sans placeholder:text-[#999999]"
-              />
-              <img src="/images/arrow.svg" alt="Submit arrow" />
-            </div>
+            <NewsletterForm />
           </div>
         </div>
 
         {/* Bottom copyright and legal links section */}
         <div className="copyright-box">
-          <p>Copyright © 2025 Spylt - All Rights Reserved</p>
-          <div className="flex items-center gap-7">
-            <p>Privacy Policy</p>
-            <p>Terms of Service</p>
-          </div>
+          <p>{footer.copyright}</p>
+          <ul className="flex items-center gap-7">
+            {footer.legal.map((link) => (
+              <li key={link.label}>
+                <FooterLink link={link} />
+              </li>
+            ))}
+          </ul>
         </div>
       </div>
-    </section>
+    </footer>
   );
 };
 
@@ -1,9 +1,17 @@
 // Import GSAP animation library and React hooks
-import { useGSAP } from "@gsap/react";
 import gsap from "gsap";
-import { SplitText } from "gsap/all";
-import { useMediaQuery } from "react-responsive";
-import { useFontsLoaded } from "../hooks/useFontsLoaded";
+import { useRef } from "react";
+import { usePreloader } from "../hooks/usePreloader";
+import { useBreakpoint } from "../hooks/useBreakpoint";
+import { mediaSources } from "../constants";
+import AdaptiveVideo from "../components/AdaptiveVideo";
+import { useContent } from "../hooks/useContent";
+import { useExperiment } from "../hooks/useExperiment";
+import { useFeatureFlags } from "../hooks/useFeatureFlags";
+import { useReducedMotion } from "../hooks/useReducedMotion";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { getRevealStyle, reveal, revealEnd } from "../utils/reveal";
+import { scrollToSection } from "../utils/sectionScroll";
 
 /**
  * HeroSection Component
@@ -13,153 +21,174 @@ import { useFontsLoaded } from "../hooks/useFontsLoaded";
  *
  * Features:
  * - Animated text reveal with character-by-character animation
- * - Responsive background (video on desktop, images on mobile/tablet)
+ * - Adaptive background (video on desktop with a capable connection,
+ *   still images on mobile/tablet, Save-Data, blocked autoplay or with the
+ *   `heroVideo` flag off); the `newHero` flag switches to the new media
  * - Scroll-triggered parallax effects
- * - Font loading optimization
+ * - Intro waits for the preloader hand-off (critical media and fonts)
+ * - Title, subtitle and CTA copy A/B tested ("heroCopy"), CTA clicks
+ *   reported as conversions
+ *
+ * Props:
+ * @param {string} [id="hero"] - Section id (URL hash and nav marker)
  */
-const HeroSection = () => {
-  // Media queries for responsive design
-  const isMobile = useMediaQuery({
-    query: "(max-width: 768px)",
-  });
+const HeroSection = ({ id = "hero" }) => {
+  // Ref for scoped GSAP selectors
+  const sectionRef = useRef();
+
+  // Shared breakpoint layer for responsive markup
+  const breakpoint = useBreakpoint();
+  const isMobile = breakpoint === "mobile";
 
-  const isTablet = useMediaQuery({
-    query: "(max-width: 1024px)",
+  // Copy from the content file, with the visitor's A/B variant applied
+  const { locale, hero: baseCopy } = useContent();
+  const { copy: variantCopy, trackConversion } = useExperiment("heroCopy", {
+    ref: sectionRef,
   });
+  const hero = { ...baseCopy, ...variantCopy };
 
-  // Custom hook to check if fonts are loaded before starting animations
-  const fontsLoaded = useFontsLoaded();
-
-  // GSAP animation setup - runs when fonts are loaded
-  useGSAP(() => {
-    // Exit early if fonts aren't loaded yet to prevent layout shift
-    if (!fontsLoaded) return;
-
-    // Split the hero title into individual characters for animation
-    const titleSplit = SplitText.create(".hero-title", {
-      type: "chars",
-    });
-
-    // Create main animation timeline with 1 second delay
-    const tl = gsap.timeline({
-      delay: 1,
-    });
-
-    // Animate hero content fade-in and slide-up
-    tl.to(".hero-content", {
-      opacity: 1,
-      y: 0,
-      ease: "power1.inOut",
-    })
-      // Animate subtitle reveal using clip-path (starts 0.5s before previous animation ends)
-      .to(
-        ".hero-text-scroll",
-        {
-          duration: 1,
-          clipPath: "polygon(0% 0%, 100% 0%, 100% 100%, 0% 100%)", // Reveals text from center outward
-          ease: "circ.out",
-        },
-        "-=0.5"
-      )
-      // Animate each character of the title sliding up with stagger effect
-      .from(
-        titleSplit.chars,
-        {
-          yPercent: 200, // Start 200% below final position
-          stagger: 0.02, // 0.02s delay between each character
-          ease: "power2.out",
-        },
-        "-=0.5" // Start 0.5s before previous animation ends
-      );
-
-    // Create scroll-triggered parallax effect timeline
-    const heroTl = gsap.timeline({
-      scrollTrigger: {
-        trigger: ".hero-container", // Element that triggers the animation
-        start: "1% top", // Animation starts when top of trigger is 1% from top of viewport
-        end: "bottom top", // Animation ends when bottom of trigger reaches top of viewport
-        scrub: true, // Animation is tied to scroll position
-      },
-    });
+  // Feature flags - `heroVideo` off renders the still images instead of the
+  // video, `newHero` swaps in the new hero media. Stills until the remote
+  // flags are in, so a disabled video is never fetched
+  const {
+    flags: { heroVideo, newHero },
+    remoteLoaded,
+  } = useFeatureFlags();
+
+  // Preloader hand-off - critical media and fonts are ready
+  const { ready } = usePreloader();
+
+  // CTA scrolls to the flavors like the NavBar does, instead of the native
+  // anchor jump (which would fight ScrollSmoother); falls back to the
+  // anchor when the section is not on the page
+  const { reducedMotion } = useReducedMotion();
+  const handleCtaClick = (event) => {
+    trackConversion("cta-click");
+    if (scrollToSection("flavors", { smooth: !reducedMotion })) {
+      event.preventDefault();
+    }
+  };
+
+  // GSAP animation setup - runs once the preloader hands off
+  useSectionAnimation(
+    {
+      animation: () => {
+        // Exit early until critical assets and fonts are loaded to prevent
+        // layout shift and media pop-in during the intro
+        if (!ready) return;
+
+        // Create main animation timeline with 1 second delay
+        const tl = gsap.timeline({
+          delay: 1,
+        });
+
+        // Animate hero content fade-in and slide-up
+        tl.to(".hero-content", {
+          opacity: 1,
+          y: 0,
+          ease: "power1.inOut",
+        });
 
-    // Apply parallax effect: rotate, scale down, and move up as user scrolls
-    heroTl.to(".hero-container", {
-      rotate: 7, // Rotate 7 degrees
-      scale: 0.9, // Scale down to 90%
-      yPercent: 30, // Move up 30% of element height
-      ease: "power1.inOut",
-    });
-  }, [fontsLoaded]); // Re-run when fontsLoaded changes
+        // Reveal the subtitle from a thin center line (starts 0.5s before
+        // the previous animation ends)
+        reveal(".hero-text-scroll", "clipReveal", {
+          timeline: tl,
+          position: "-=0.5",
+        });
+
+        // Slide each character of the title up with a stagger
+        reveal(".hero-title", "charRise", { timeline: tl, position: "-=0.5" });
+
+        // Create scroll-triggered parallax effect timeline
+        const heroTl = gsap.timeline({
+          scrollTrigger: {
+            trigger: ".hero-container", // Element that triggers the animation
+            start: "1% top", // Animation starts when top of trigger is 1% from top of viewport
+            end: "bottom top", // Animation ends when bottom of trigger reaches top of viewport
+            scrub: true, // Animation is tied to scroll position
+          },
+        });
+
+        // Apply parallax effect: rotate, scale down, and move up as user scrolls
+        heroTl.to(".hero-container", {
+          rotate: 7, // Rotate 7 degrees
+          scale: 0.9, // Scale down to 90%
+          yPercent: 30, // Move up 30% of element height
+          ease: "power1.inOut",
+        });
+      },
+      // Reduced motion: show the hero copy fully revealed, no parallax
+      reduced: () => {
+        gsap.set(".hero-content", { opacity: 1, y: 0 });
+        revealEnd(".hero-text-scroll", "clipReveal");
+      },
+    },
+    [ready, locale], // Re-run when the preloader hands off or the copy changes
+    { scope: sectionRef }
+  );
 
   return (
-    <section className="bg-main-bg">
+    <section ref={sectionRef} id={id} className="bg-main-bg">
       <div className="hero-container">
-        {/* Responsive background media */}
-        {isTablet ? (
-          // For tablet and mobile: use static images instead of video for better performance
-          <>
-            {/* Additional background image for mobile only */}
-            {isMobile && (
+        {/* Adaptive background media - video, or still images */}
+        <AdaptiveVideo
+          media={newHero ? mediaSources.newHero : mediaSources.hero}
+          stillOnly={!remoteLoaded || !heroVideo}
+          className="absolute inset-0 w-full h-full object-cover"
+          renderStill={(still) => (
+            <>
+              {/* Additional background image for mobile only */}
+              {isMobile && (
+                <img
+                  src="/images/hero-bg.png"
+                  className="absolute bottom-40 size-full object-cover"
+                  alt="" // Decorative - the product image below is described
+                />
+              )}
+              {/* Main product image - centered and responsive */}
               <img
-                src="/images/hero-bg.png"
-                className="absolute bottom-40 size-full object-cover"
-                alt="Background image of Spylt drinks"
+                src={still.src}
+                srcSet={`${still.src} 1x, ${still.src} 2x`}
+                className="absolute bottom-0 left-1/2 -translate-x-1/2 object-contain object-bottom"
+                alt={still.alt}
+                style={{
+                  maxHeight: "80vh", // Limit height to 80% of viewport
+                  width: "auto",
+                  height: "auto",
+                  maxWidth: "100vw", // Never exceed viewport width
+                }}
               />
-            )}
-            {/* Main product image - centered and responsive */}
-            <img
-              src="/images/hero-img.png"
-              srcSet="/images/hero-img.png 1x, /images/hero-img.png 2x"
-              className="absolute bottom-0 left-1/2 -translate-x-1/2 object-contain object-bottom"
-              alt="Spylt drinks"
-              style={{
-                maxHeight: "80vh", // Limit height to 80% of viewport
-                width: "auto",
-                height: "auto",
-                maxWidth: "100vw", // Never exceed viewport width
-              }}
-            />
-          </>
-        ) : (
-          // For desktop: use video background for dynamic effect
-          <video
-            src="/videos/hero-bg.mp4"
-            autoPlay
-            muted
-            playsInline
-            className="absolute inset-0 w-full h-full object-cover"
-          />
-        )}
+            </>
+          )}
+        />
 
         {/* Hero content container - initially hidden (opacity-0) for animation */}
         <div className="hero-content opacity-0">
           {/* Main title with overflow hidden for animation effect */}
           <div className="overflow-hidden">
-            <h1 className="hero-title text-center">Freaking Delicious</h1>
+            {/* Keyed by locale so the split re-runs on fresh markup */}
+            <h1 key={locale} className="hero-title text-center">
+              {hero.title}
+            </h1>
           </div>
 
           {/* Subtitle with clip-path animation - starts as a thin line */}
           <div
-            style={{
-              clipPath: "polygon(50% 0, 50% 0, 50% 100%, 50% 100%)", // Creates a thin vertical line
-            }}
+            style={getRevealStyle("clipReveal")} // A thin vertical line
             className="hero-text-scroll"
           >
             <div className="hero-subtitle">
-              <h1>Protein + Caffine </h1>
+              <p>{hero.subtitle}</p>
             </div>
           </div>
 
           {/* Main description text */}
-          <h2>
-            Live life to the fullest with SPYLT: Shatter boredom and embrace
-            your inner kid with every deliciously smooth chug.
-          </h2>
-
-          {/* Call-to-action button */}
-          <div className="hero-button">
-            <p>Chug a SPYLT</p>
-          </div>
+          <p className="hero-description">{hero.description}</p>
+
+          {/* Call-to-action - scrolls to the flavors */}
+          <a href="#flavors" onClick={handleCtaClick} className="hero-button">
+            {hero.cta}
+          </a>
         </div>
       </div>
     </section>
@@ -1,8 +1,15 @@
-// Import GSAP animation library and React hooks
-import { useGSAP } from "@gsap/react";
-import gsap from "gsap";
-import { SplitText } from "gsap/all";
+// Import React hooks and the reveal presets
+import { useRef } from "react";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
+import { useExperiment } from "../hooks/useExperiment";
 import { useFontsLoaded } from "../hooks/useFontsLoaded";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { getRevealStyle, reveal, revealEnd } from "../utils/reveal";
+
+// "Fuel Up" grows from the inline start - shared by the animation, its
+// hidden markup and the reduced-motion state
+const FUEL_UP_REVEAL = { direction: "start" };
 
 /**
  * MessageSection Component
@@ -17,129 +24,105 @@ import { useFontsLoaded } from "../hooks/useFontsLoaded";
  * - Clip-path reveal animations
  * - Paragraph text with rotation and slide effects
  * - Font loading optimization
+ * - Headline copy A/B tested ("messageHeadline"), exposed once on screen
+ *
+ * Props:
+ * @param {string} [id="message"] - Section id (URL hash and nav marker)
  */
-const MessageSection = () => {
+const MessageSection = ({ id = "message" }) => {
+  // Ref for scoped GSAP selectors
+  const sectionRef = useRef();
+
   // Custom hook to check if fonts are loaded before starting animations
   const fontsLoaded = useFontsLoaded();
 
-  // GSAP animation setup - runs when fonts are loaded
-  useGSAP(() => {
-    // Exit early if fonts aren't loaded yet to prevent layout shift
-    if (!fontsLoaded) return;
-
-    // Split text elements into individual words for animation
-    const firstMsgSplit = SplitText.create(".first-message", {
-      type: "words", // Split into individual words
-    });
-    const secMsgSplit = SplitText.create(".second-message", {
-      type: "words", // Split into individual words
-    });
-    const paragraphSplit = SplitText.create(".message-content p", {
-      type: "words, lines", // Split into both words and lines
-      linesClass: "paragraph-line", // Add custom class to line elements
-    });
+  // Copy from the content file, with the visitor's A/B variant applied
+  const { locale, message: baseCopy } = useContent();
+  const { copy: variantCopy } = useExperiment("messageHeadline", {
+    ref: sectionRef,
+  });
+  const message = { ...baseCopy, ...variantCopy };
 
-    // Remove aria-label attributes added by SplitText for accessibility
-    // SplitText automatically adds these but they can interfere with screen readers
-    document.querySelectorAll(".message-content [aria-label]").forEach((el) => {
-      el.removeAttribute("aria-label");
-    });
+  // "Fuel Up" is revealed from the inline start (the right in RTL)
+  const { dir } = useDirection();
 
-    // Animate first message words: change color as user scrolls
-    gsap.to(firstMsgSplit.words, {
-      color: "#faeade", // Light cream color
-      ease: "power1.in",
-      stagger: 1, // 1 second delay between each word
-      scrollTrigger: {
-        trigger: ".message-content", // Element that triggers the animation
-        start: "top center", // Animation starts when top of trigger reaches center of viewport
-        end: "30% center", // Animation ends when trigger is 30% from center
-        scrub: true, // Animation is tied to scroll position
-      },
-    });
+  // GSAP animation setup - runs when fonts are loaded
+  useSectionAnimation(
+    {
+      animation: () => {
+        // Exit early if fonts aren't loaded yet to prevent layout shift
+        if (!fontsLoaded) return;
 
-    // Animate second message words: change color as user scrolls
-    gsap.to(secMsgSplit.words, {
-      color: "#faeade", // Light cream color
-      ease: "power1.in",
-      stagger: 1, // 1 second delay between each word
-      scrollTrigger: {
-        trigger: ".second-message", // Element that triggers the animation
-        start: "top center", // Animation starts when top of trigger reaches center of viewport
-        end: "bottom center", // Animation ends when bottom of trigger reaches center
-        scrub: true, // Animation is tied to scroll position
-      },
-    });
+        // First message words change to the light cream color one after
+        // another as the user scrolls
+        reveal(".first-message", "colorSweep", {
+          trigger: sectionRef.current,
+          end: "30% center", // Finishes 30% into the section
+        });
 
-    // Create timeline for "Fuel Up" text reveal animation
-    const revealTl = gsap.timeline({
-      delay: 1, // 1 second delay before starting
-      scrollTrigger: {
-        trigger: ".msg-text-scroll", // Element that triggers the animation
-        start: "top 60%", // Animation starts when top of trigger reaches 60% of viewport
-      },
-    });
+        // Second message words, swept while they cross the center
+        reveal(".second-message", "colorSweep");
 
-    // Animate clip-path to reveal the "Fuel Up" text from left to right
-    revealTl.to(".msg-text-scroll", {
-      duration: 1,
-      clipPath: "polygon(0% 0%, 100% 0%, 100% 100%, 0% 100%)", // Reveals full element
-      ease: "circ.inOut",
-    });
+        // "Fuel Up" reveal from the inline start, 1 second after its top
+        // reaches 60% of the viewport
+        reveal(".msg-text-scroll", "clipReveal", {
+          ...FUEL_UP_REVEAL,
+          dir,
+          start: "top 60%",
+          delay: 1,
+          ease: "circ.inOut",
+        });
 
-    // Create timeline for paragraph text animation
-    const paragraphTl = gsap.timeline({
-      scrollTrigger: {
-        trigger: ".message-content p", // Element that triggers the animation
-        start: "top center", // Animation starts when top of trigger reaches center of viewport
+        // Paragraph words slide up with a slight rotation - rebuilt
+        // whenever a resize re-flows the lines
+        reveal("p", "wordRise");
       },
-    });
-
-    // Animate paragraph words: slide up from below with slight rotation
-    paragraphTl.from(paragraphSplit.words, {
-      yPercent: 300, // Start 300% below final position
-      rotate: 3, // Start with 3 degree rotation
-      ease: "power1.inOut",
-      duration: 1,
-      stagger: 0.01, // 0.01s delay between each word
-    });
-  }, [fontsLoaded]); // Re-run when fontsLoaded changes
+      // Reduced motion: final colors and fully revealed "Fuel Up", no splits
+      reduced: () => {
+        revealEnd([".first-message", ".second-message"], "colorSweep");
+        revealEnd(".msg-text-scroll", "clipReveal", { ...FUEL_UP_REVEAL, dir });
+      },
+    },
+    [fontsLoaded, locale], // Re-run when fonts load or the copy changes
+    { scope: sectionRef }
+  );
 
   return (
-    <section className="message-content">
+    <section ref={sectionRef} id={id} className="message-content">
       <div className="container mx-auto flex-center py-28 relative">
         <div className="w-full h-full">
-          {/* Main message wrapper containing the animated text */}
-          <div className="msg-wrapper">
+          {/* Main message wrapper containing the animated text - keyed by
+              locale so the splits re-run on fresh markup. The three parts
+              read as a single heading. */}
+          <div
+            key={locale}
+            role="heading"
+            aria-level={2}
+            className="msg-wrapper"
+          >
             {/* First part of the message - animated with color transition */}
-            <h1 className="first-message">Stir up your fearless past and</h1>
+            <span className="first-message">{message.lead}</span>
 
             {/* "Fuel Up" text with clip-path animation - starts hidden */}
             <div
-              style={{
-                clipPath: "polygon(0 0, 0 0, 0 100%, 0% 100%)", // Creates a thin vertical line (hidden)
-              }}
+              style={getRevealStyle("clipReveal", { ...FUEL_UP_REVEAL, dir })} // A thin vertical line (hidden)
               className="msg-text-scroll"
             >
               <div className="bg-light-brown md:pb-5 pb-3 px-5">
-                <h2 className="text-red-brown">Fuel Up</h2>
+                <span className="block text-red-brown">
+                  {message.highlight}
+                </span>
               </div>
             </div>
 
             {/* Second part of the message - animated with color transition */}
-            <h1 className="second-message">
-              your future with every gulp of Perfect Protein
-            </h1>
+            <span className="second-message">{message.tail}</span>
           </div>
 
           {/* Paragraph section with slide-up animation */}
           <div className="flex-center md:mt-20 mt-10">
             <div className="max-w-md px-10 flex-center overflow-hidden">
-              <p>
-                Rev up your rebel spirit and feed the adventure of life with
-                SPYLT, where you're one chug away from epic nostalgia and
-                fearless fun.
-              </p>
+              <p key={locale}>{message.paragraph}</p>
             </div>
           </div>
         </div>
@@ -1,11 +1,17 @@
 // Import React hooks, GSAP animation library, and constants
-import { useMediaQuery } from "react-responsive";
-import { nutrientLists } from "../constants";
-import { useEffect, useState } from "react";
-import { useGSAP } from "@gsap/react";
-import { SplitText } from "gsap/all";
 import gsap from "gsap";
+import { useRef } from "react";
+import { useContent } from "../hooks/useContent";
 import { useFontsLoaded } from "../hooks/useFontsLoaded";
+import { useBreakpoint } from "../hooks/useBreakpoint";
+import { useDirection } from "../hooks/useDirection";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { formatAmount } from "../utils/format";
+import { getRevealStyle, reveal, revealEnd } from "../utils/reveal";
+
+// "Body Good" grows from the inline start and fades in - shared by the
+// animation, its hidden markup and the reduced-motion state
+const BODY_GOOD_REVEAL = { direction: "start", fade: true };
 
 /**
  * NutritionSection Component
@@ -20,133 +26,131 @@ import { useFontsLoaded } from "../hooks/useFontsLoaded";
  * - Responsive nutrient list (shows 3 items on mobile, all on desktop)
  * - Background images for visual appeal
  * - Font loading optimization
- * - Accessibility improvements (removes problematic aria-labels)
+ * - Split text stays readable by screen readers (see utils/splitText.js)
  *
  * Layout:
  * - Desktop: Three-column layout (title, description, nutrient list)
  * - Mobile: Stacked layout with reduced nutrient items
+ *
+ * Props:
+ * @param {string} [id="nutrition"] - Section id (URL hash and nav marker)
  */
-const NutritionSection = () => {
-  // Media query to detect mobile devices
-  const isMobile = useMediaQuery({
-    query: "(max-width: 768px)",
-  });
+const NutritionSection = ({ id = "nutrition" }) => {
+  // Ref for scoped GSAP selectors
+  const sectionRef = useRef();
+
+  // Shared breakpoint layer to detect mobile devices
+  const isMobile = useBreakpoint() === "mobile";
+
+  // Copy and nutrients from the content file
+  const { locale, nutrition } = useContent();
+
+  // "Body Good" is revealed from the inline start (the right in RTL)
+  const { dir } = useDirection();
 
-  // State to manage nutrient list (responsive based on screen size)
-  const [lists, setLists] = useState(nutrientLists);
+  // Nutrient list - only first 3 nutrients on mobile to save space
+  const lists = isMobile
+    ? nutrition.nutrients.slice(0, 3)
+    : nutrition.nutrients;
 
   // Custom hook to check if fonts are loaded before starting animations
   const fontsLoaded = useFontsLoaded();
 
-  // Effect to adjust nutrient list based on screen size
-  useEffect(() => {
-    if (isMobile) {
-      // On mobile: show only first 3 nutrients to save space
-      setLists(nutrientLists.slice(0, 3));
-    } else {
-      // On desktop: show all nutrients
-      setLists(nutrientLists);
-    }
-  }, [isMobile]);
-
   // GSAP animation setup - runs when fonts are loaded or screen size changes
-  useGSAP(() => {
-    // Exit early if fonts aren't loaded yet to prevent layout shift
-    if (!fontsLoaded) return;
-
-    // Split text elements for animation
-    const titleSplit = SplitText.create(".nutrition-title", {
-      type: "chars", // Split "It still does" into individual characters
-    });
-    const paragraphSplit = SplitText.create(".nutrition-section p", {
-      type: "words, lines", // Split paragraph into both words and lines
-      linesClass: "paragraph-line", // Add custom class to line elements
-    });
-
-    // Remove aria-label attributes added by SplitText for accessibility
-    // SplitText automatically adds these but they can interfere with screen readers
-    document
-      .querySelectorAll(".nutrition-section [aria-label]")
-      .forEach((el) => {
-        el.removeAttribute("aria-label");
-      });
-
-    // Create main content animation timeline
-    const contentTl = gsap.timeline({
-      scrollTrigger: {
-        trigger: ".nutrition-section", // Element that triggers the animation
-        start: "top center", // Animation starts when section top reaches center of viewport
+  useSectionAnimation(
+    {
+      animation: () => {
+        // Exit early if fonts aren't loaded yet to prevent layout shift
+        if (!fontsLoaded) return;
+
+        // Create main content animation timeline
+        const contentTl = gsap.timeline({
+          scrollTrigger: {
+            trigger: sectionRef.current, // Element that triggers the animation
+            start: "top center", // Animation starts when section top reaches center of viewport
+          },
+        });
+
+        // Title characters ("It still does") slide up from below
+        reveal(".nutrition-title", "charRise", {
+          timeline: contentTl,
+          yPercent: 100, // Only one line height - the title box is tight
+        });
+
+        // Paragraph words slide up after the title - re-added whenever a
+        // resize re-flows the lines
+        reveal("p", "wordRise", { timeline: contentTl });
+
+        // "Body Good" fades in and is revealed from the inline start
+        reveal(".nutrition-text-scroll", "clipReveal", {
+          ...BODY_GOOD_REVEAL,
+          dir,
+          trigger: sectionRef.current, // Same trigger as content animation
+          start: "top 80%", // Animation starts when section top reaches 80% of viewport
+          ease: "power1.inOut",
+        });
       },
-    });
-
-    // Animate title characters sliding up from below
-    contentTl
-      .from(titleSplit.chars, {
-        yPercent: 100, // Start 100% below final position
-        stagger: 0.02, // 0.02s delay between each character
-        ease: "power2.out",
-      })
-      // Animate paragraph words sliding up with slight rotation
-      .from(paragraphSplit.words, {
-        yPercent: 300, // Start 300% below final position
-        rotate: 3, // Start with 3 degree rotation
-        ease: "power1.inOut",
-        duration: 1,
-        stagger: 0.01, // 0.01s delay between each word
-      });
-
-    // Create separate timeline for "Body Good" text reveal
-    const titleTl = gsap.timeline({
-      scrollTrigger: {
-        trigger: ".nutrition-section", // Same trigger as content animation
-        start: "top 80%", // Animation starts when section top reaches 80% of viewport
+      // Reduced motion: "Body Good" fully revealed, no character splits
+      reduced: () => {
+        revealEnd(".nutrition-text-scroll", "clipReveal", {
+          ...BODY_GOOD_REVEAL,
+          dir,
+        });
       },
-    });
-
-    // Animate "Body Good" text reveal using clip-path and opacity
-    titleTl.to(".nutrition-text-scroll", {
-      duration: 1,
-      opacity: 1, // Fade in
-      clipPath: "polygon(100% 0, 0 0, 0 100%, 100% 100%)", // Reveals full element
-      ease: "power1.inOut",
-    });
-  }, [fontsLoaded, isMobile]); // Re-run when fonts load or screen size changes
+    },
+    [fontsLoaded, isMobile, locale], // Re-run when fonts load or the copy re-renders
+    { scope: sectionRef }
+  );
 
   return (
-    <section className="nutrition-section">
+    <section ref={sectionRef} id={id} className="nutrition-section">
       {/* Top decorative image */}
       <img
         src="/images/slider-dip.png"
-        alt="slider-dip"
+        alt="" // Decorative
         className="w-full object-cover"
       />
 
       {/* Background image for visual appeal */}
       <img
         src="/images/big-img.png"
-        alt="slider-dip background"
+        alt="" // Decorative
         className="big-img"
       />
 
-      {/* Main content container with responsive layout */}
-      <div className="flex md:flex-row flex-col justify-between md:px-10 px-5 mt-14 md:mt-0">
+      {/* Main content container with responsive layout - keyed by locale so
+          the splits above revert on the old copy and re-split fresh markup */}
+      <div
+        key={locale}
+        className="flex md:flex-row flex-col justify-between md:px-10 px-5 mt-14 md:mt-0"
+      >
         {/* Title section - "It still does Body Good" */}
         <div className="relative inline-block md:translate-y-20">
-          <div className="general-title relative flex flex-col justify-center items-center gap-24">
+          {/* Both parts read as a single heading */}
+          <div
+            role="heading"
+            aria-level={2}
+            className="general-title relative flex flex-col justify-center items-center gap-24"
+          >
             {/* First part of title: "It still does" with overflow hidden for slide animation */}
             <div className="overflow-hidden place-self-start">
-              <h1 className="nutrition-title">It still does</h1>
+              <span className="nutrition-title block">
+                {nutrition.title.lead}
+              </span>
             </div>
 
             {/* "Body Good" text with clip-path animation - starts hidden */}
             <div
-              style={{
-                clipPath: "polygon(0 0, 0 0, 0 100%, 0% 100%)", // Creates a thin vertical line (hidden)
-              }}
+              style={getRevealStyle("clipReveal", {
+                ...BODY_GOOD_REVEAL,
+                dir,
+              })} // A thin vertical line (hidden)
               className="nutrition-text-scroll place-self-start"
             >
               <div className="bg-yellow-brown pb-5 md:pt-0 pt-3 md:px-5 px-3">
-                <h2 className="text-milk-yellow">Body Good</h2>
+                <span className="block text-milk-yellow">
+                  {nutrition.title.highlight}
+                </span>
               </div>
             </div>
           </div>
@@ -155,9 +159,8 @@ const NutritionSection = () => {
         {/* Description section - nutritional information text */}
         <div className="flex md:justify-center items-center translate-y-5">
           <div className="md:max-w-xs max-w-md">
-            <p className="text-lg md:text-right text-balance font-paragraph">
-              Milk contains a wide array of nutrients, including vitamins,
-              minerals, and protein, and this is lactose free
+            <p className="text-lg md:text-end text-balance font-paragraph">
+              {nutrition.description}
             </p>
           </div>
         </div>
@@ -173,10 +176,12 @@ const NutritionSection = () => {
                   <p className="md:text-lg text-sm font-paragraph">
                     {nutrient.label}
                   </p>
-                  <p className="font-paragraph text-sm mt-2">up to</p>
-                  {/* Nutrient amount (e.g., "25g", "30%") */}
+                  <p className="font-paragraph text-sm mt-2">
+                    {nutrition.amountPrefix}
+                  </p>
+                  {/* Nutrient amount (e.g., "245 mg"), formatted for the locale */}
                   <p className="text-2xl md:text-3xl tracking-tighter font-bold">
-                    {nutrient.amount}
+                    {formatAmount(nutrient.amount, nutrient.unit, locale)}
                   </p>
                 </div>
 
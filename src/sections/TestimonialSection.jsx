@@ -1,9 +1,167 @@
 // Import React hooks, GSAP animation library, and constants
-import { useRef } from "react";
-import { cards } from "../constants";
-import { useGSAP } from "@gsap/react";
+import { useMemo, useRef, useState } from "react";
+import { cards as defaultCards } from "../constants";
 import gsap from "gsap";
-import { useMediaQuery } from "react-responsive";
+import TestimonialCard from "../components/TestimonialCard";
+import VideoPlayer from "../components/VideoPlayer";
+import { useContent } from "../hooks/useContent";
+import { useDirection } from "../hooks/useDirection";
+import { useMediaContext } from "../hooks/useMediaSource";
+import { useSectionAnimation } from "../hooks/useSectionAnimation";
+import { formatMessage } from "../utils/format";
+import { selectMediaSource } from "../utils/mediaSource";
+import { reveal } from "../utils/reveal";
+
+// Media sources for the card previews (null for written reviews). Videos
+// are the same in every locale, so the default content is enough. Without
+// a still, constrained devices get the written review instead of video.
+const cardMedia = defaultCards.map((card) =>
+  card.src
+    ? { renditions: [{ src: card.src, type: "video/mp4", width: 404 }] }
+    : null
+);
+
+/**
+ * Player data for a testimonial card
+ *
+ * @param {Object} card - cards entry
+ * @param {Object} ui - UI text in the active locale
+ * @returns {Object} - VideoPlayer `video` prop
+ */
+const toPlayerVideo = (card, ui) => ({
+  title: formatMessage(ui.testimonial.title, { name: card.name }),
+  src: card.src,
+  poster: card.img,
+  tracks: card.captions
+    ? [
+        {
+          kind: "captions",
+          src: card.captions,
+          srcLang: "en", // Caption files are written in English
+          label: ui.player.captionsLanguage,
+        },
+      ]
+    : [],
+  transcript: card.transcript,
+});
+
+/**
+ * Desktop/tablet: pinned card reveal with parallax titles
+ *
+ * Runs in the section's scoped animation context, so class selectors only
+ * match this instance's titles and cards.
+ *
+ * @param {HTMLElement} section - The section root
+ * @param {Object} direction - useDirection helpers (mirrors the titles in RTL)
+ * @param {string|null} overlap - How far to slide over the previous section
+ */
+const buildPinnedTestimonials = (section, { dir }, overlap) => {
+  // Negative margin slides the section over the pinned section before it
+  // (declared in sections/registry.js, only while that section precedes it)
+  if (overlap) gsap.set(section, { marginTop: `-${overlap}` });
+
+  // Create parallax timeline for title movement
+  const tl = gsap.timeline({
+    scrollTrigger: {
+      trigger: section, // Element that triggers the animation
+      start: "top bottom", // Animation starts when section top reaches bottom of viewport
+      end: "200% top", // Animation ends when user scrolls 200% of viewport height
+      scrub: true, // Animation is tied to scroll position
+    },
+  });
+
+  // Move the title lines at different speeds, all at the same time
+  reveal(".first-title", "parallaxX", {
+    timeline: tl,
+    dir,
+    xPercent: 70, // Move "What's" right by 70%
+  });
+  reveal(".sec-title", "parallaxX", {
+    timeline: tl,
+    position: "<",
+    dir,
+    xPercent: 25, // Move "Everyone" right by 25%
+  });
+  reveal(".third-title", "parallaxX", {
+    timeline: tl,
+    position: "<",
+    dir,
+    xPercent: -50, // Move "Talking" left by 50%
+  });
+
+  // Pin the section while the video cards slide up from below
+  const pinTl = reveal(section, "pinScrub", {
+    start: "10% top", // Pins once the section top is 10% past the viewport top
+  });
+
+  pinTl.from(".vd-card", {
+    yPercent: 150, // Start 150% below final position
+    stagger: 0.2, // 0.2s delay between each card
+    ease: "power1.inOut",
+  });
+};
+
+/**
+ * Mobile: simplified sequential card reveals without pinning
+ *
+ * @param {HTMLElement} section - The section root
+ * @param {Object} direction - useDirection helpers (mirrors the titles in RTL)
+ */
+const buildStackedTestimonials = (section, { x }) => {
+  // Set initial state for cards to be hidden below viewport
+  gsap.set(".vd-card", {
+    yPercent: 150, // Start 150% below final position
+    opacity: 0, // Start invisible
+  });
+
+  // Mobile: Simplified animations without pinning for better performance
+  const tl = gsap.timeline({
+    scrollTrigger: {
+      trigger: section, // Element that triggers the animation
+      start: "top 80%", // Animation starts when section top reaches 80% of viewport
+      end: "bottom 20%", // Animation ends when section bottom reaches 20% of viewport
+      scrub: 1, // Smooth scrubbing
+    },
+  });
+
+  // Animate title elements with fade-in and movement
+  tl.from(".first-title", {
+    xPercent: x(70), // Start 70% to the right
+    opacity: 0, // Start invisible
+  })
+    .from(
+      ".sec-title",
+      {
+        xPercent: x(25), // Start 25% to the right
+        opacity: 0, // Start invisible
+      },
+      "<" // Start at the same time as previous animation
+    )
+    .from(
+      ".third-title",
+      {
+        xPercent: x(-50), // Start 50% to the left
+        opacity: 0, // Start invisible
+      },
+      "<" // Start at the same time as previous animation
+    );
+
+  // Mobile: Individual card animations with sequential scroll triggers
+  gsap.utils.toArray(".vd-card").forEach((card, index) => {
+    gsap.to(card, {
+      yPercent: 0, // Move to final position
+      opacity: 1, // Fade in
+      duration: 0.5,
+      ease: "power1.inOut",
+      scrollTrigger: {
+        trigger: section, // Same trigger for all cards
+        start: `top ${80 - index * 10}%`, // Each card starts at different scroll position
+        end: `top ${60 - index * 10}%`, // Each card ends at different scroll position
+        scrub: 1, // Smooth scrubbing
+      },
+    });
+  });
+};
 
 /**
  * TestimonialSection Component
@@ -17,7 +175,10 @@ import { useMediaQuery } from "react-responsive";
  * - Responsive design with different animations for desktop/mobile
  * - Parallax title animations with staggered movement
  * - Pinned section with video card reveals (desktop)
- * - Hover-to-play video functionality
+ * - Hover-to-play video previews with the reviewer's avatar, name and quote
+ * - Written review cards when a video is missing or fails to load
+ * - Click/tap a card to open it in a lightbox with sound, captions,
+ *   transcript and next/previous navigation
  * - Dynamic video card positioning and rotation
  * - Scroll-triggered animations with smooth scrubbing
  *
@@ -30,172 +191,116 @@ import { useMediaQuery } from "react-responsive";
  * - Simplified animations without pinning
  * - Sequential card reveals based on scroll position
  * - Optimized for touch interaction
+ *
+ * Props:
+ * @param {string} [id="testimonials"] - Section id (URL hash and nav marker)
+ * @param {string|null} [overlap] - Overlap with the previous section on
+ *   desktop/tablet (a CSS length), resolved by the section registry
  */
-const TestimonialSection = () => {
-  // Ref array to store video element references for play/pause control
-  const vdRef = useRef([]);
+const TestimonialSection = ({ id = "testimonials", overlap = null }) => {
+  // Title, cards and UI text in the active locale
+  const {
+    testimonials: { title, cards },
+    ui,
+  } = useContent();
 
-  // Media query to detect mobile devices
-  const isMobile = useMediaQuery({
-    query: "(max-width: 768px)",
-  });
+  // Horizontal title movement mirrors in right-to-left locales
+  const direction = useDirection();
 
-  // GSAP animation setup with responsive behavior
-  useGSAP(() => {
-    // Desktop: Apply negative margin to create overlap with previous section
-    if (!isMobile) {
-      gsap.set(".testimonials-section", {
-        marginTop: "-140vh", // Creates dramatic overlap effect
-      });
-    } else {
-      // Mobile: Set initial state for cards to be hidden below viewport
-      gsap.set(".vd-card", {
-        yPercent: 150, // Start 150% below final position
-        opacity: 0, // Start invisible
-      });
-    }
-
-    // Desktop: Complex parallax and pinning animations
-    if (!isMobile) {
-      // Create parallax timeline for title movement
-      const tl = gsap.timeline({
-        scrollTrigger: {
-          trigger: ".testimonials-section", // Element that triggers the animation
-          start: "top bottom", // Animation starts when section top reaches bottom of viewport
-          end: "200% top", // Animation ends when user scrolls 200% of viewport height
-          scrub: true, // Animation is tied to scroll position
-        },
-      });
-
-      // Animate title elements with different movement speeds for parallax effect
-      tl.to(".testimonials-section .first-title", {
-        xPercent: 70, // Move "What's" right by 70%
-      })
-        .to(
-          ".testimonials-section .sec-title",
-          {
-            xPercent: 25, // Move "Everyone" right by 25% (starts at same time as previous)
-          },
-          "<" // Start at the same time as previous animation
-        )
-        .to(
-          ".testimonials-section .third-title",
-          {
-            xPercent: -50, // Move "Talking" left by 50% (starts at same time as previous)
-          },
-          "<" // Start at the same time as previous animation
-        );
-
-      // Create pinned timeline for video card reveals
-      const pinTl = gsap.timeline({
-        scrollTrigger: {
-          trigger: ".testimonials-section", // Same trigger as parallax animation
-          start: "10% top", // Animation starts when section top is 10% from viewport top
-          end: "200% top", // Animation ends when user scrolls 200% of viewport height
-          scrub: 1.5, // Smooth scrubbing with slight delay
-          pin: true, // Pin the section during scroll for immersive effect
-        },
-      });
-
-      // Animate video cards sliding up from below with stagger effect
-      pinTl.from(".vd-card", {
-        yPercent: 150, // Start 150% below final position
-        stagger: 0.2, // 0.2s delay between each card
-        ease: "power1.inOut",
-      });
-    } else {
-      // Mobile: Simplified animations without pinning for better performance
-      const tl = gsap.timeline({
-        scrollTrigger: {
-          trigger: ".testimonials-section", // Element that triggers the animation
-          start: "top 80%", // Animation starts when section top reaches 80% of viewport
-          end: "bottom 20%", // Animation ends when section bottom reaches 20% of viewport
-          scrub: 1, // Smooth scrubbing
-        },
-      });
+  // Ref for scoped GSAP selectors
+  const sectionRef = useRef();
 
-      // Animate title elements with fade-in and movement
-      tl.from(".testimonials-section .first-title", {
-        xPercent: 70, // Start 70% to the right
-        opacity: 0, // Start invisible
-      })
-        .from(
-          ".testimonials-section .sec-title",
-          {
-            xPercent: 25, // Start 25% to the right
-            opacity: 0, // Start invisible
-          },
-          "<" // Start at the same time as previous animation
-        )
-        .from(
-          ".testimonials-section .third-title",
-          {
-            xPercent: -50, // Start 50% to the left
-            opacity: 0, // Start invisible
-          },
-          "<" // Start at the same time as previous animation
-        );
-
-      // Mobile: Individual card animations with sequential scroll triggers
-      cards.forEach((_, index) => {
-        gsap.to(`.vd-card:nth-child(${index + 1})`, {
-          yPercent: 0, // Move to final position
-          opacity: 1, // Fade in
-          duration: 0.5,
-          ease: "power1.inOut",
-          scrollTrigger: {
-            trigger: ".testimonials-section", // Same trigger for all cards
-            start: `top ${80 - index * 10}%`, // Each card starts at different scroll position
-            end: `top ${60 - index * 10}%`, // Each card ends at different scroll position
-            scrub: 1, // Smooth scrubbing
-          },
-        });
-      });
-    }
-  });
+  // Ref array to store card elements (lightbox transition origins)
+  const cardRef = useRef([]);
+
+  // Index of the testimonial open in the lightbox (null when closed)
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+
+  // Indexes of cards whose video failed to load
+  const [failedVideos, setFailedVideos] = useState(() => new Set());
 
-  // Video control functions for hover interaction
-  const handlePlay = (index) => {
-    const video = vdRef.current[index];
-    video.play(); // Play video on hover
-  };
+  // Preview source per card for this device and network
+  const mediaContext = useMediaContext();
+  const cardSources = useMemo(
+    () =>
+      cardMedia.map((media) => media && selectMediaSource(media, mediaContext)),
+    [mediaContext]
+  );
+
+  const isPlayable = (index) =>
+    cardSources[index]?.kind === "video" && !failedVideos.has(index);
+
+  const handleVideoError = (index) =>
+    setFailedVideos((failed) => new Set(failed).add(index));
 
-  const handlePause = (index) => {
-    const video = vdRef.current[index];
-    video.pause(); // Pause video when hover ends
-  };
+  // Step through video testimonials, wrapping around at both ends and
+  // skipping written reviews
+  const showRelative = (step) =>
+    setLightboxIndex((index) => {
+      let next = index;
+      do {
+        next = (next + step + cards.length) % cards.length;
+      } while (!isPlayable(next) && next !== index);
+      return next;
+    });
+
+  // GSAP animation setup with responsive behavior, scoped to this section
+  useSectionAnimation(
+    {
+      animation: {
+        desktop: () =>
+          buildPinnedTestimonials(sectionRef.current, direction, overlap),
+        tablet: () =>
+          buildPinnedTestimonials(sectionRef.current, direction, overlap),
+        mobile: () => buildStackedTestimonials(sectionRef.current, direction),
+      },
+      // Reduced motion: no overlap margin or pinning - titles and cards
+      // stay in their resting positions
+      reduced: () => {},
+    },
+    [overlap], // Rebuild when the section order changes the overlap
+    { scope: sectionRef }
+  );
 
   return (
-    <section className="testimonials-section">
-      {/* Title section with parallax animation */}
-      <div className="absolute size-full flex flex-col items-center pt-[40vw] md:pt-[5vw]">
-        <h1 className="text-black first-title">What's</h1>
-        <h1 className="text-light-brown sec-title">Everyone</h1>
-        <h1 className="text-black third-title">Talking</h1>
+    <section ref={sectionRef} id={id} className="testimonials-section">
+      {/* Title section with parallax animation - one heading */}
+      <div
+        role="heading"
+        aria-level={2}
+        className="testimonials-title absolute size-full flex flex-col items-center pt-[40vw] md:pt-[5vw]"
+      >
+        <span className="text-black first-title">{title[0]}</span>
+        <span className="text-light-brown sec-title">{title[1]}</span>
+        <span className="text-black third-title">{title[2]}</span>
       </div>
 
       {/* Video cards container */}
-      <div className="pin-box">
-        {/* Map through testimonial video data to create individual cards */}
+      {/* Cards are revealed by the pin - focus scrolls to its end */}
+      <div className="pin-box" data-focus-scroll="end">
+        {/* Map through testimonial data to create individual cards */}
         {cards.map((card, index) => (
-          <div
+          <TestimonialCard
             key={index}
-            className={`vd-card ${card.translation} ${card.rotation}`} // Apply dynamic positioning and rotation
-            onMouseEnter={() => handlePlay(index)} // Play video on hover
-            onMouseLeave={() => handlePause(index)} // Pause video when hover ends
-          >
-            {/* Testimonial video with auto-play settings */}
-            <video
-              ref={(el) => (vdRef.current[index] = el)} // Store reference for play/pause control
-              src={card.src} // Video source from constants
-              playsInline // Prevent fullscreen on mobile
-              muted // Start muted for autoplay compatibility
-              loop // Loop the video continuously
-              className="size-full object-cover"
-            />
-          </div>
+            card={card}
+            videoSrc={isPlayable(index) ? cardSources[index].src : null}
+            cardRef={(el) => (cardRef.current[index] = el)}
+            onOpen={() => setLightboxIndex(index)}
+            onVideoError={() => handleVideoError(index)}
+          />
         ))}
       </div>
+
+      {/* Lightbox player for the selected testimonial */}
+      {lightboxIndex !== null && (
+        <VideoPlayer
+          video={toPlayerVideo(cards[lightboxIndex], ui)}
+          origin={cardRef.current[lightboxIndex]}
+          onClose={() => setLightboxIndex(null)}
+          onPrevious={() => showRelative(-1)}
+          onNext={() => showRelative(1)}
+        />
+      )}
     </section>
   );
 };
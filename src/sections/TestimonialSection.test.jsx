@@ -0,0 +1,50 @@
+import { act } from "react";
+import { createRoot } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it } from "vitest";
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/all";
+import TestimonialSection from "./TestimonialSection";
+
+// Registered by App in the running site
+gsap.registerPlugin(ScrollTrigger);
+
+// ScrollTriggers whose trigger element sits inside a section
+const getTriggersIn = (section) =>
+  ScrollTrigger.getAll().filter((trigger) => section.contains(trigger.trigger));
+
+describe("TestimonialSection", () => {
+  let container;
+  let root;
+
+  beforeEach(async () => {
+    container = document.body.appendChild(document.createElement("div"));
+    root = createRoot(container);
+
+    await act(async () => {
+      root.render(
+        <>
+          <TestimonialSection id="testimonials-a" />
+          <TestimonialSection id="testimonials-b" />
+        </>
+      );
+    });
+  });
+
+  afterEach(async () => {
+    await act(async () => root.unmount());
+    container.remove();
+  });
+
+  it("gives each section its own id and scroll triggers", () => {
+    const sections = [...container.querySelectorAll(".testimonials-section")];
+    expect(sections.map(({ id }) => id)).toEqual([
+      "testimonials-a",
+      "testimonials-b",
+    ]);
+
+    const [first, second] = sections.map(getTriggersIn);
+    expect(first.length).toBeGreaterThan(0);
+    expect(second.length).toBeGreaterThan(0);
+    expect(first.filter((trigger) => second.includes(trigger))).toEqual([]);
+  });
+});
@@ -0,0 +1,140 @@
+// Import every section that can be placed on the home page
+import HeroSection from "./HeroSection";
+import MessageSection from "./MessageSection";
+import FlavorSection from "./FlavorSection";
+import NutritionSection from "./NutritionSection";
+import BenefitSection from "./BenefitSection";
+import TestimonialSection from "./TestimonialSection";
+import FooterSection from "./FooterSection";
+
+/**
+ * Section registry, keyed by section id (the element id and URL hash)
+ *
+ * Each section declares:
+ * - component: rendered once per page, in config order
+ * - nav: listed in the navigation, labelled by the content file's
+ *   `navigation` entry with the same id
+ * - enabled: default visibility, overridable per config entry
+ * - region: "main" (inside the <main> landmark) or "footer" (after it)
+ * - layout: coupling with pins and neighbours
+ *   - pinStart: ScrollTrigger position a link scrolls to - pinned
+ *     sections use their pin start so the jump lands where the pinned
+ *     animation begins
+ *   - overlaps: { section, by } - slides up over the pinned section
+ *     `section` by `by` (a CSS length). Only applied while that section
+ *     directly precedes it; otherwise the section keeps its own space.
+ *
+ * To add a section, register it here and list its id in the page config
+ * (constants/sections.js).
+ */
+export const sectionRegistry = {
+  hero: { component: HeroSection, nav: true, enabled: true, region: "main" },
+  message: {
+    component: MessageSection,
+    nav: true,
+    enabled: true,
+    region: "main",
+  },
+  flavors: {
+    component: FlavorSection,
+    nav: true,
+    enabled: true,
+    region: "main",
+    layout: { pinStart: "2% top" }, // FlavorSlider pins at 2% on desktop
+  },
+  nutrition: {
+    component: NutritionSection,
+    nav: true,
+    enabled: true,
+    region: "main",
+  },
+  benefits: {
+    component: BenefitSection,
+    nav: true,
+    enabled: true,
+    region: "main",
+  },
+  testimonials: {
+    component: TestimonialSection,
+    nav: true,
+    enabled: true,
+    region: "main",
+    layout: {
+      pinStart: "10% top", // The card reveal pins at 10%
+      overlaps: { section: "benefits", by: "140vh" }, // Over the video pin
+    },
+  },
+  footer: {
+    component: FooterSection,
+    nav: true,
+    enabled: true,
+    region: "footer",
+  },
+};
+
+/**
+ * Resolve a page config into the sections to render
+ *
+ * Config entries are `{ id, enabled? }` in page order; `enabled`
+ * overrides the registered default. Disabled sections are dropped before
+ * layout coupling is resolved, so hiding or reordering a section never
+ * leaves an overlap pointing at the wrong neighbour.
+ *
+ * @param {Array<{ id: string, enabled?: boolean }>} config - Page config
+ * @returns {Array<Object>} - Sections in render order, each with
+ *   `overlap` (CSS length or null) and `coupled` (grouped with the
+ *   previous section)
+ * @throws {Error} - With `code` "unknown-section" for unregistered ids
+ */
+export const resolveSections = (config) => {
+  const unknown = config
+    .filter(({ id }) => !(id in sectionRegistry))
+    .map(({ id }) => `"${id}"`);
+
+  if (unknown.length) {
+    throw Object.assign(
+      new Error(
+        `Unknown section id(s) in the page config: ${unknown.join(", ")} - ` +
+          "register them in sections/registry.js"
+      ),
+      { code: "unknown-section" }
+    );
+  }
+
+  const enabled = config
+    .map(({ id, ...overrides }) => ({
+      id,
+      layout: {},
+      ...sectionRegistry[id],
+      ...overrides,
+    }))
+    .filter((section) => section.enabled);
+
+  return enabled.map((section, index) => {
+    const { overlaps } = section.layout;
+    const previous = enabled[index - 1];
+    const coupled = Boolean(
+      overlaps &&
+        previous?.id === overlaps.section &&
+        previous.region === section.region
+    );
+
+    return { ...section, coupled, overlap: coupled ? overlaps.by : null };
+  });
+};
+
+/**
+ * Group coupled sections so they render in one wrapper
+ *
+ * @param {Array<Object>} sections - resolveSections output
+ * @returns {Array<Array<Object>>} - Runs of sections, coupled ones together
+ */
+export const groupSections = (sections) =>
+  sections.reduce((groups, section) => {
+    if (section.coupled && groups.length) {
+      groups[groups.length - 1].push(section);
+    } else {
+      groups.push([section]);
+    }
+    return groups;
+  }, []);
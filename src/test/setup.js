@@ -0,0 +1,43 @@
+// Browser APIs jsdom lacks, stubbed for the component tests
+import { breakpoints } from "../constants";
+
+// Tell React the tests drive updates through act()
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// Media queries: the desktop layout with full motion, so sections build
+// their pinned, scrubbed timelines
+window.matchMedia = (query) => ({
+  matches: query === breakpoints.desktop,
+  media: query,
+  onchange: null,
+  addListener: () => {},
+  removeListener: () => {},
+  addEventListener: () => {},
+  removeEventListener: () => {},
+  dispatchEvent: () => false,
+});
+
+// Lazy media and exposure tracking: nothing ever intersects
+window.IntersectionObserver = class {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+  takeRecords() {
+    return [];
+  }
+};
+
+// Card lookup by slug escapes the attribute selector
+window.CSS ??= {};
+window.CSS.escape ??= (value) => String(value).replace(/["\\]/g, "\\$&");
+
+// ScrollTrigger resets the scroll position while it measures
+window.scrollTo = () => {};
+
+// No layout in jsdom: the parent element stands in for the offset parent
+Object.defineProperty(HTMLElement.prototype, "offsetParent", {
+  configurable: true,
+  get() {
+    return this.parentElement;
+  },
+});
@@ -0,0 +1,87 @@
+/**
+ * Fetch a single asset and report byte progress while it streams
+ *
+ * The response is read to completion so the browser HTTP cache holds the
+ * file before the <img>/<video> that renders it asks for it. When the
+ * server does not send a Content-Length the asset only reports completion.
+ *
+ * @param {{ src: string, critical: boolean }} asset - Manifest entry
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (loadedBytes, totalBytes)
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<void>} - Resolves when the asset is fully downloaded
+ */
+export const loadAsset = async (asset, { onProgress, signal }) => {
+  const response = await fetch(asset.src, {
+    signal,
+    priority: asset.critical ? "high" : "low", // Fetch priority hint
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to preload ${asset.src} (${response.status})`);
+  }
+
+  const totalBytes = Number(response.headers.get("content-length")) || 0;
+
+  // No streaming body or unknown size: wait for the whole file
+  if (!response.body || !totalBytes) {
+    const blob = await response.blob();
+    onProgress(blob.size, blob.size);
+    return;
+  }
+
+  // Stream the body and report every chunk
+  const reader = response.body.getReader();
+  let loadedBytes = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    loadedBytes += value.length;
+    onProgress(loadedBytes, totalBytes);
+  }
+};
+
+/**
+ * Load a list of assets with limited concurrency
+ *
+ * Failed assets (404, network error) settle as "failed" instead of
+ * rejecting, so one missing file never blocks the page.
+ *
+ * @param {Array} assets - Manifest entries to load
+ * @param {Object} options
+ * @param {Function} options.onAssetProgress - (src, loadedBytes, totalBytes)
+ * @param {Function} options.onAssetSettled - (src, "loaded" | "failed")
+ * @param {AbortSignal} [options.signal] - Cancels all pending requests
+ * @param {number} [options.concurrency=4] - Parallel requests
+ * @returns {Promise<void>} - Resolves when every asset settled
+ */
+export const loadAssets = async (
+  assets,
+  { onAssetProgress, onAssetSettled, signal, concurrency = 4 }
+) => {
+  const queue = [...assets];
+
+  // Each worker pulls the next asset until the queue is empty
+  const worker = async () => {
+    while (queue.length && !signal?.aborted) {
+      const asset = queue.shift();
+
+      try {
+        await loadAsset(asset, {
+          signal,
+          onProgress: (loaded, total) =>
+            onAssetProgress(asset.src, loaded, total),
+        });
+        onAssetSettled(asset.src, "loaded");
+      } catch {
+        if (!signal?.aborted) onAssetSettled(asset.src, "failed");
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, assets.length) }, worker)
+  );
+};
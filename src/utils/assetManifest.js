@@ -0,0 +1,80 @@
+// Import content data used to derive media paths
+import { flavorlists, mediaSources } from "../constants";
+import { selectMediaSource } from "./mediaSource";
+
+/**
+ * Build the preloader manifest for the current breakpoint
+ *
+ * Every entry describes one media file the page renders:
+ * - src: public URL of the file
+ * - type: "image" | "video"
+ * - critical: true when the hero intro must wait for it
+ *
+ * Critical entries are the first-fold media (nav logo and the hero
+ * background the current breakpoint renders). Images further down the
+ * page are deferred and loaded after the hand-off, in page order. Videos
+ * below the fold are left to the media manager, which attaches them as
+ * they approach the viewport.
+ *
+ * @param {"desktop" | "tablet" | "mobile"} breakpoint - Active breakpoint
+ * @param {Object} [options]
+ * @param {boolean} [options.heroVideo=true] - `heroVideo` feature flag
+ * @param {boolean} [options.newHero=false] - `newHero` feature flag
+ * @returns {Array<{ src: string, type: string, critical: boolean }>}
+ */
+export const buildAssetManifest = (
+  breakpoint,
+  { heroVideo = true, newHero = false } = {}
+) => {
+  const isMobile = breakpoint === "mobile";
+
+  // Hero and footer media follow the same selection as AdaptiveVideo
+  const heroMedia = newHero ? mediaSources.newHero : mediaSources.hero;
+  const heroSource = selectMediaSource(heroMedia, {
+    breakpoint,
+    stillOnly: !heroVideo,
+  });
+  const footerSource = selectMediaSource(mediaSources.footerSplash, {
+    breakpoint,
+  });
+
+  // Hero files mirror HeroSection: the selected video, or its stills
+  const heroFiles =
+    heroSource.kind === "video"
+      ? [{ src: heroSource.src, type: "video" }]
+      : [
+          ...(isMobile ? [{ src: "/images/hero-bg.png", type: "image" }] : []),
+          { src: heroSource.src, type: "image" },
+        ];
+
+  const critical = [
+    { src: "/images/nav-logo.svg", type: "image" },
+    ...heroFiles,
+  ];
+
+  // Flavor slider art derived from the flavor color keys
+  const flavorMedia = flavorlists.flatMap(({ color }) => [
+    { src: `/images/${color}-bg.svg`, type: "image" },
+    { src: `/images/${color}-drink.webp`, type: "image" },
+    { src: `/images/${color}-elements.webp`, type: "image" },
+  ]);
+
+  const deferred = [
+    ...flavorMedia,
+    { src: "/images/slider-dip.png", type: "image" },
+    { src: "/images/big-img.png", type: "image" },
+    { src: "/images/circle-text.svg", type: "image" },
+    { src: "/images/play.svg", type: "image" },
+    { src: "/images/footer-dip.png", type: "image" },
+    // Footer still image mirrors FooterSection (video is left to the
+    // media manager)
+    ...(footerSource.kind === "still"
+      ? [{ src: footerSource.src, type: "image" }]
+      : []),
+  ];
+
+  return [
+    ...critical.map((asset) => ({ ...asset, critical: true })),
+    ...deferred.map((asset) => ({ ...asset, critical: false })),
+  ];
+};
@@ -0,0 +1,103 @@
+/**
+ * Direction-aware animation values
+ *
+ * Animations are written for left-to-right layouts. In right-to-left
+ * locales the page flows from the right, so horizontal movement and
+ * horizontal clip-path reveals are mirrored around the vertical axis.
+ * Vertical values, scales and rotations that don't imply a reading
+ * direction are left alone.
+ */
+
+/**
+ * Horizontal sign for a direction: 1 in LTR, -1 in RTL
+ *
+ * @param {"ltr"|"rtl"} dir - Text direction
+ */
+export const getDirectionSign = (dir) => (dir === "rtl" ? -1 : 1);
+
+/**
+ * Mirror a horizontal offset (x, xPercent)
+ *
+ * Numbers flip sign; strings with a unit ("-30%", "1200px") or a relative
+ * prefix ("-=100", "+=50px") flip their leading sign.
+ *
+ * @param {number|string} value - Offset written for LTR
+ * @param {"ltr"|"rtl"} dir - Text direction
+ * @returns {number|string} - Offset for the direction
+ */
+export const mirrorX = (value, dir) => {
+  if (dir !== "rtl") return value;
+  if (typeof value === "number") return value === 0 ? 0 : -value;
+
+  return value.replace(/^([+-]=)?(-)?/, (match, relative, negative) =>
+    relative
+      ? `${relative === "-=" ? "+=" : "-="}${negative ?? ""}`
+      : negative
+      ? ""
+      : "-"
+  );
+};
+
+// Mirror one horizontal position inside a CSS shape ("0", "30%", "12px")
+const mirrorPosition = (position) => {
+  const match = /^(-?[\d.]+)(%?)$/.exec(position);
+  if (!match) return position; // Keywords and lengths other than % stay
+  if (match[2] !== "%" && Number(match[1]) !== 0) return position;
+  return `${100 - Number(match[1])}%`;
+};
+
+/**
+ * Mirror a clip-path shape horizontally
+ *
+ * Supports the shapes used for reveals: `polygon()` with percentage (or 0)
+ * points, and `circle()`/`ellipse()` positioned with `at X Y`.
+ *
+ * @param {string} clipPath - Shape written for LTR
+ * @param {"ltr"|"rtl"} dir - Text direction
+ * @returns {string} - Shape for the direction
+ */
+export const mirrorClipPath = (clipPath, dir) => {
+  if (dir !== "rtl") return clipPath;
+
+  return clipPath
+    .replace(/polygon\(([^)]*)\)/, (match, points) => {
+      const mirrored = points.split(",").map((point) => {
+        const [x, y] = point.trim().split(/\s+/);
+        return `${mirrorPosition(x)} ${y}`;
+      });
+      return `polygon(${mirrored.join(", ")})`;
+    })
+    .replace(
+      /\bat\s+(\S+)/,
+      (match, position) => `at ${mirrorPosition(position)}`
+    );
+};
+
+/**
+ * Distance from the element's inline-start edge to its offset parent's,
+ * i.e. `offsetLeft` measured from the right in RTL. Like offsetLeft it
+ * ignores transforms, so it can be read while a section is mid-scroll.
+ *
+ * @param {HTMLElement} element - Element to measure
+ * @param {"ltr"|"rtl"} dir - Text direction
+ * @returns {number} - Offset in pixels
+ */
+export const getInlineOffset = (element, dir) =>
+  dir === "rtl"
+    ? element.offsetParent.offsetWidth -
+      element.offsetLeft -
+      element.offsetWidth
+    : element.offsetLeft;
+
+/**
+ * Arrow glyphs for links that move backward or forward in reading order
+ *
+ * Layouts already flow from the right in RTL (the document `dir` flips
+ * flex rows), so "previous" sits at the inline start either way - only the
+ * glyphs have to point the other way.
+ *
+ * @param {"ltr"|"rtl"} dir - Text direction
+ * @returns {{ back: string, forward: string }}
+ */
+export const getArrows = (dir) =>
+  dir === "rtl" ? { back: "→", forward: "←" } : { back: "←", forward: "→" };
@@ -0,0 +1,202 @@
+/**
+ * A/B experiments: sticky variant assignment and event reporting
+ *
+ * Every visitor gets a random id stored in localStorage. The variant of an
+ * experiment is picked by hashing that id with the experiment id, so a
+ * visitor keeps their variants on every visit without storing them, and
+ * experiments split independently of each other.
+ *
+ * Events go to a reporter - any object with a `report(event)` method:
+ * - { type: "exposure", experiment, variant, visitorId, timestamp }
+ * - { type: "conversion", experiment, variant, visitorId, goal, timestamp }
+ *
+ * Events for variants forced through the `ab` query parameter carry
+ * `forced: true`, so QA sessions can be filtered out.
+ */
+import { experiments } from "../constants";
+
+/**
+ * Create a random visitor id
+ *
+ * @returns {string}
+ */
+const createVisitorId = () =>
+  window.crypto?.randomUUID?.() ??
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Read the stored visitor id, creating and storing one on the first visit
+ *
+ * @param {string} storageKey - localStorage key
+ * @returns {string} - The visitor id (a fresh one per load when storage is
+ *   blocked)
+ */
+export const readVisitorId = (storageKey) => {
+  try {
+    const stored = window.localStorage.getItem(storageKey);
+    if (stored) return stored;
+
+    const visitorId = createVisitorId();
+    window.localStorage.setItem(storageKey, visitorId);
+    return visitorId;
+  } catch {
+    // Storage can be unavailable (private mode) - assign for this load only
+    return createVisitorId();
+  }
+};
+
+/**
+ * Hash a string to a number in [0, 1) (32-bit FNV-1a)
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+const hashToUnit = (value) => {
+  let hash = 0x811c9dc5;
+
+  for (let index = 0; index < value.length; index++) {
+    hash ^= value.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return (hash >>> 0) / 2 ** 32;
+};
+
+/**
+ * Look up an experiment definition
+ *
+ * @param {string} id - Experiment id (constants/experiments.js)
+ * @returns {Object}
+ * @throws {Error} - With `code` "unknown-experiment" for unregistered ids
+ */
+const getExperiment = (id) => {
+  if (!(id in experiments)) {
+    throw Object.assign(
+      new Error(
+        `Unknown experiment "${id}" - register it in constants/experiments.js`
+      ),
+      { code: "unknown-experiment" }
+    );
+  }
+
+  return experiments[id];
+};
+
+/**
+ * Pick the variant of an experiment for a visitor
+ *
+ * Deterministic: the same visitor always lands in the same variant, with
+ * variants drawn in proportion to their weights. Ended (disabled)
+ * experiments always return "control".
+ *
+ * @param {string} id - Experiment id
+ * @param {string} visitorId - readVisitorId() result
+ * @returns {string} - Variant name
+ */
+export const assignVariant = (id, visitorId) => {
+  const { enabled, variants } = getExperiment(id);
+  if (!enabled) return "control";
+
+  const entries = Object.entries(variants);
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let point = hashToUnit(`${id}:${visitorId}`) * total;
+
+  for (const [name, weight] of entries) {
+    if (point < weight) return name;
+    point -= weight;
+  }
+
+  return entries[entries.length - 1][0];
+};
+
+/**
+ * Parse the `ab` query parameter
+ *
+ * Comma-separated `experiment:variant` entries force a variant for the
+ * visit, e.g. `?ab=heroCopy:bold,newsletterCopy:control`. Unknown
+ * experiments and variants are ignored.
+ *
+ * @param {string} search - location.search
+ * @returns {Object} - Forced variant names keyed by experiment id
+ */
+export const parseQueryVariants = (search) => {
+  const param = new URLSearchParams(search).get("ab");
+  if (!param) return {};
+
+  return Object.fromEntries(
+    param
+      .split(",")
+      .map((entry) => entry.trim().split(":"))
+      .filter(
+        ([id, variant]) =>
+          id in experiments && variant in experiments[id].variants
+      )
+  );
+};
+
+/**
+ * Development reporter that keeps events in memory and logs them
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.log=true] - Log every event to the console
+ * @returns {{ events: Array<Object>, report: (event: Object) => void }}
+ */
+export const createMemoryReporter = ({ log = true } = {}) => {
+  const events = [];
+
+  const report = (event) => {
+    events.push(event);
+    if (log) console.info(`[experiments] ${event.type}`, event);
+  };
+
+  return { events, report };
+};
+
+/**
+ * Reporter posting each event as JSON to a collection endpoint
+ *
+ * Uses sendBeacon so conversions right before a navigation still arrive,
+ * falling back to a keepalive fetch.
+ *
+ * @param {string} endpoint - Collection URL
+ * @returns {{ report: (event: Object) => void }}
+ */
+export const createBeaconReporter = (endpoint) => ({
+  report: (event) => {
+    const body = JSON.stringify(event);
+    const blob = new Blob([body], { type: "application/json" });
+
+    if (navigator.sendBeacon?.(endpoint, blob)) return;
+
+    fetch(endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+      keepalive: true,
+    }).catch(() => {
+      // Reporting is best effort - never surface it to the visitor
+    });
+  },
+});
+
+/**
+ * Reporter that drops every event - production builds without a
+ * collection endpoint stay silent
+ *
+ * @returns {{ report: (event: Object) => void }}
+ */
+export const createNoopReporter = () => ({ report: () => {} });
+
+/**
+ * Default reporter: the endpoint from VITE_EXPERIMENTS_ENDPOINT when it is
+ * configured, otherwise the in-memory console sink in development and a
+ * silent no-op in production
+ */
+const getDefaultReporter = () => {
+  const endpoint = import.meta.env.VITE_EXPERIMENTS_ENDPOINT;
+
+  if (endpoint) return createBeaconReporter(endpoint);
+  return import.meta.env.DEV ? createMemoryReporter() : createNoopReporter();
+};
+
+export const defaultExperimentReporter = getDefaultReporter();
@@ -0,0 +1,163 @@
+/**
+ * Feature flags: defaults and the sources that override them
+ *
+ * Later sources win:
+ * 1. defaultFlags below
+ * 2. The remote flag file (FEATURE_FLAGS_URL) - changed per audience
+ *    without a redeploy
+ * 3. localStorage - persistent overrides for QA and demos
+ * 4. The `ff` query parameter - one-off overrides for a visit, e.g.
+ *    `?ff=noSmoother,heroVideo,smoothness:1.5`
+ *
+ * Every source is sanitized against the defaults: unknown flags and values
+ * of the wrong type are ignored, so a bad flag file can't break the page.
+ */
+import { homeSections } from "../constants";
+
+/**
+ * Default flags - the behaviour without any override
+ *
+ * - smoother: ScrollSmoother on (off = native scrolling)
+ * - smoothness: ScrollSmoother `smooth` value in seconds
+ * - heroVideo: hero background video (off = still images)
+ * - newHero: the new hero media (`hero.newMedia` in the content file)
+ *   instead of the current one
+ * - circleReveal: pinned circle reveal in VideoPinSection (off = the
+ *   video shows full size without pinning)
+ * - experiments: A/B experiments (off = everyone sees the control copy
+ *   and no events are reported)
+ * - <id>Section: show a home page section, e.g. `testimonialsSection`.
+ *   Unset by default, so the page config (constants/sections.js) decides.
+ */
+export const defaultFlags = {
+  smoother: true,
+  smoothness: 3,
+  heroVideo: true,
+  newHero: false,
+  circleReveal: true,
+  experiments: true,
+};
+
+/**
+ * Name of the flag that shows or hides a home page section
+ *
+ * @param {string} id - Section id, e.g. "testimonials"
+ * @returns {string} - Flag name, e.g. "testimonialsSection"
+ */
+export const getSectionFlag = (id) => `${id}Section`;
+
+// Value type of every known flag, section flags included
+const flagTypes = {
+  ...Object.fromEntries(
+    homeSections.map(({ id }) => [getSectionFlag(id), "boolean"])
+  ),
+  ...Object.fromEntries(
+    Object.entries(defaultFlags).map(([name, value]) => [name, typeof value])
+  ),
+};
+
+/**
+ * Keep only known flags with values of the expected type
+ *
+ * @param {*} flags - Parsed flag object from any source
+ * @returns {Object} - Valid flags
+ */
+export const sanitizeFlags = (flags) => {
+  if (!flags || typeof flags !== "object" || Array.isArray(flags)) return {};
+
+  return Object.fromEntries(
+    Object.entries(flags).filter(
+      ([name, value]) =>
+        flagTypes[name] &&
+        typeof value === flagTypes[name] &&
+        (typeof value !== "number" || Number.isFinite(value))
+    )
+  );
+};
+
+/**
+ * Parse the `ff` query parameter
+ *
+ * Comma-separated entries: `name` turns a flag on, `noName` turns it off
+ * and `name:value` sets a number, e.g. `?ff=noSmoother,smoothness:1.5`.
+ *
+ * @param {string} search - location.search
+ * @returns {Object} - Valid flags
+ */
+export const parseQueryFlags = (search) => {
+  const param = new URLSearchParams(search).get("ff");
+  if (!param) return {};
+
+  const flags = {};
+
+  for (const entry of param.split(",")) {
+    const [name, value] = entry.trim().split(":");
+
+    if (value !== undefined) {
+      flags[name] = Number(value);
+    } else if (/^no[A-Z]/.test(name) && !flagTypes[name]) {
+      flags[name[2].toLowerCase() + name.slice(3)] = false;
+    } else {
+      flags[name] = true;
+    }
+  }
+
+  return sanitizeFlags(flags);
+};
+
+/**
+ * Read the flags persisted in localStorage
+ *
+ * @param {string} storageKey - localStorage key
+ * @returns {Object} - Valid flags (empty when storage is blocked)
+ */
+export const readStoredFlags = (storageKey) => {
+  try {
+    return sanitizeFlags(JSON.parse(window.localStorage.getItem(storageKey)));
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Persist flag overrides in localStorage
+ *
+ * @param {string} storageKey - localStorage key
+ * @param {Object} flags - Overrides to keep (an empty object clears them)
+ */
+export const writeStoredFlags = (storageKey, flags) => {
+  try {
+    if (Object.keys(flags).length) {
+      window.localStorage.setItem(storageKey, JSON.stringify(flags));
+    } else {
+      window.localStorage.removeItem(storageKey);
+    }
+  } catch {
+    // Storage can be unavailable (private mode) - keep the in-memory value
+  }
+};
+
+/**
+ * Fetch the remote flag file
+ *
+ * The file is a JSON object of flags, e.g. `{ "circleReveal": false }`.
+ * A missing, slow or malformed file falls back to the other sources.
+ *
+ * @param {string} url - Flag file URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=3000] - Give up after this many ms
+ * @returns {Promise<Object>} - Valid flags (empty on failure)
+ */
+export const fetchRemoteFlags = async (url, { timeout = 3000 } = {}) => {
+  try {
+    const response = await fetch(url, {
+      cache: "no-cache", // Pick up flag changes on the next visit
+      signal: AbortSignal.timeout(timeout),
+    });
+    if (!response.ok) return {};
+
+    return sanitizeFlags(await response.json());
+  } catch {
+    return {};
+  }
+};
@@ -0,0 +1,34 @@
+import { describe, expect, it } from "vitest";
+import { parseQueryFlags, sanitizeFlags } from "./featureFlags";
+
+describe("parseQueryFlags", () => {
+  it("turns flags on by name and off with a `no` prefix", () => {
+    expect(parseQueryFlags("?ff=noSmoother,newHero")).toEqual({
+      smoother: false,
+      newHero: true,
+    });
+  });
+
+  it("reads numeric values", () => {
+    expect(parseQueryFlags("?ff=smoothness:1.5")).toEqual({ smoothness: 1.5 });
+  });
+
+  it("ignores unknown flags and values of the wrong type", () => {
+    expect(parseQueryFlags("?ff=confetti,heroVideo:2,smoothness:fast")).toEqual(
+      {}
+    );
+  });
+});
+
+describe("sanitizeFlags", () => {
+  it("keeps known flags with the expected type only", () => {
+    expect(
+      sanitizeFlags({ newHero: true, circleReveal: "no", confetti: true })
+    ).toEqual({ newHero: true });
+  });
+
+  it("ignores anything but a plain object", () => {
+    expect(sanitizeFlags(null)).toEqual({});
+    expect(sanitizeFlags([true])).toEqual({});
+  });
+});
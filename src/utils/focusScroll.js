@@ -0,0 +1,37 @@
+// Import GSAP scroll plugin
+import { ScrollTrigger } from "gsap/all";
+
+/**
+ * ScrollSmoother `onFocusIn` handler - keeps keyboard focus on screen
+ *
+ * ScrollSmoother scrolls a newly focused off-screen element to the center
+ * of the viewport. That position is wrong inside pinned sections, where
+ * the element's place on screen depends on the pin's progress. There the
+ * page scrolls to the pin start instead, or to its end when the content
+ * is only revealed by the pinned animation (`data-focus-scroll="end"` on
+ * a container). Components that scroll focused children themselves opt
+ * out with `data-focus-scroll="manual"`.
+ *
+ * @param {ScrollSmoother} smoother - The page smoother
+ * @param {FocusEvent} event - focusin event
+ * @returns {boolean} - false when the default centering is skipped
+ */
+export const handleSmootherFocus = (smoother, event) => {
+  const { target } = event;
+  if (!(target instanceof Element)) return true;
+
+  const mode = target.closest("[data-focus-scroll]")?.dataset.focusScroll;
+  if (mode === "manual") return false;
+
+  // Pinned ancestor, if any
+  const pinTrigger = ScrollTrigger.getAll().find(
+    (trigger) => trigger.pin && trigger.pin.contains(target)
+  );
+  if (!pinTrigger) return true; // Default centering
+
+  // Already pinned on screen - nothing to do
+  if (pinTrigger.isActive && ScrollTrigger.isInViewport(target)) return false;
+
+  smoother.scrollTo(mode === "end" ? pinTrigger.end : pinTrigger.start, false);
+  return false;
+};
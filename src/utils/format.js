@@ -0,0 +1,64 @@
+/**
+ * Locale-aware formatting for content values and UI text
+ */
+
+// Intl unit identifiers for the units used in the content files.
+// Intl has no milligram or microgram unit, so those borrow the gram
+// layout (spacing and order for the locale) with their own symbol.
+const unitFormats = {
+  g: { unit: "gram" },
+  mg: { unit: "gram", symbol: "mg" },
+  mcg: { unit: "gram", symbol: "µg" },
+};
+
+/**
+ * Format a nutrition amount for a locale, e.g. 1500 mg -> "1,500 mg" (en)
+ * or "1 500 mg" (fr)
+ *
+ * @param {number} amount - Amount from the content file
+ * @param {string} [unit] - "g", "mg" or "mcg"; plain number when missing
+ * @param {string} locale - Locale code, e.g. "es"
+ * @returns {string} - Formatted amount
+ */
+export const formatAmount = (amount, unit, locale) => {
+  const format = unitFormats[unit];
+  if (!format) return new Intl.NumberFormat(locale).format(amount);
+
+  return new Intl.NumberFormat(locale, {
+    style: "unit",
+    unit: format.unit,
+    unitDisplay: "short",
+  })
+    .formatToParts(amount)
+    .map((part) =>
+      part.type === "unit" && format.symbol ? format.symbol : part.value
+    )
+    .join("");
+};
+
+/**
+ * Format an ISO date as month and year, e.g. "Mar 2025" (en)
+ *
+ * @param {string} date - ISO date (YYYY-MM-DD), parsed as UTC midnight
+ * @param {string} locale - Locale code
+ * @returns {string} - Formatted date
+ */
+export const formatMonth = (date, locale) =>
+  new Intl.DateTimeFormat(locale, {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  }).format(new Date(date));
+
+/**
+ * Fill the `{name}` placeholders of a UI text from the content file,
+ * e.g. ("View {name}", { name: "Chocolate Milk" }) -> "View Chocolate Milk"
+ *
+ * @param {string} template - Text with placeholders
+ * @param {Object} values - Replacement per placeholder name
+ * @returns {string} - Text with known placeholders replaced
+ */
+export const formatMessage = (template, values) =>
+  template.replace(/\{(\w+)\}/g, (match, name) =>
+    name in values ? String(values[name]) : match
+  );
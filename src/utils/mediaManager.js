@@ -0,0 +1,197 @@
+// Most videos allowed to play at the same time
+export const MAX_PLAYING_VIDEOS = 2;
+
+// How far ahead of the viewport sources are attached
+const PRELOAD_MARGIN = "100% 0px";
+
+// Registered videos and their playback state, keyed by element
+const entries = new Map();
+
+// Videos currently playing, oldest first
+const playing = new Set();
+
+// Number of open holds (fullscreen players) pausing managed videos
+let holds = 0;
+
+let loadObserver = null;
+let visibilityObserver = null;
+
+/**
+ * Whether a registered video should be playing right now
+ *
+ * @param {Object} entry - Registered video state
+ * @returns {boolean}
+ */
+const shouldPlay = (entry) =>
+  holds === 0 &&
+  document.visibilityState === "visible" &&
+  entry.visible &&
+  (entry.autoplay || entry.requested) &&
+  // Videos that play once are not restarted on re-entry
+  !(entry.video.ended && !entry.video.loop);
+
+/**
+ * Attach the source of a video the first time it gets close to view
+ *
+ * @param {Object} entry - Registered video state
+ */
+const attachSource = (entry) => {
+  if (entry.attached || !entry.src) return;
+
+  entry.attached = true;
+  entry.video.src = entry.src;
+};
+
+/**
+ * Play a video, pausing the oldest playing one above the limit
+ *
+ * @param {Object} entry - Registered video state
+ */
+const startPlayback = (entry) => {
+  const { video } = entry;
+  if (playing.has(video)) return;
+
+  attachSource(entry);
+
+  if (playing.size >= MAX_PLAYING_VIDEOS) {
+    const [oldest] = playing;
+    playing.delete(oldest);
+    oldest.pause();
+  }
+
+  playing.add(video);
+  video.play().catch((error) => {
+    playing.delete(video);
+
+    // Autoplay refused by the browser (e.g. low-power mode) - load
+    // failures are left to the element's own error handling
+    if (error.name === "NotAllowedError") entry.onBlocked?.();
+  });
+};
+
+const stopPlayback = (entry) => {
+  playing.delete(entry.video);
+  entry.video.pause();
+};
+
+// Bring one video in line with its state
+const update = (entry) => {
+  if (shouldPlay(entry)) startPlayback(entry);
+  else stopPlayback(entry);
+};
+
+const updateAll = () => entries.forEach(update);
+
+// Lazily create the shared observers and document listener
+const ensureObservers = () => {
+  if (loadObserver) return;
+
+  loadObserver = new IntersectionObserver(
+    (observed) =>
+      observed.forEach(({ target, isIntersecting }) => {
+        const entry = entries.get(target);
+        if (entry && isIntersecting) attachSource(entry);
+      }),
+    { rootMargin: PRELOAD_MARGIN }
+  );
+
+  visibilityObserver = new IntersectionObserver((observed) =>
+    observed.forEach(({ target, isIntersecting }) => {
+      const entry = entries.get(target);
+      if (!entry) return;
+
+      entry.visible = isIntersecting;
+      // Hover previews end when their video leaves the screen
+      if (!isIntersecting) entry.requested = false;
+      update(entry);
+    })
+  );
+
+  document.addEventListener("visibilitychange", updateAll);
+};
+
+/**
+ * Put a video under the media manager
+ *
+ * The source is attached once the video is within a viewport of the
+ * screen. Autoplaying videos play while visible and pause when they leave
+ * the viewport, when the tab is hidden, or while a fullscreen player holds
+ * playback. At most MAX_PLAYING_VIDEOS play at once.
+ *
+ * @param {HTMLVideoElement} video - Video element (rendered without src)
+ * @param {Object} options
+ * @param {string} options.src - Source attached lazily
+ * @param {boolean} [options.autoplay=true] - Play whenever visible;
+ *   otherwise only after playMedia (e.g. hover previews)
+ * @param {Function} [options.onBlocked] - The browser refused to play it
+ * @returns {Function} - Unregisters the video
+ */
+export const registerMedia = (video, { src, autoplay = true, onBlocked }) => {
+  ensureObservers();
+
+  entries.set(video, {
+    video,
+    src,
+    autoplay,
+    onBlocked,
+    attached: false,
+    visible: false,
+    requested: false,
+  });
+
+  loadObserver.observe(video);
+  visibilityObserver.observe(video);
+
+  return () => {
+    loadObserver.unobserve(video);
+    visibilityObserver.unobserve(video);
+    playing.delete(video);
+    entries.delete(video);
+  };
+};
+
+/**
+ * Play a managed video on demand (within the concurrency limit)
+ *
+ * @param {HTMLVideoElement} video - Registered video
+ */
+export const playMedia = (video) => {
+  const entry = entries.get(video);
+  if (!entry) return;
+
+  entry.requested = true;
+  update(entry);
+};
+
+/**
+ * Stop an on-demand playback started with playMedia
+ *
+ * @param {HTMLVideoElement} video - Registered video
+ */
+export const pauseMedia = (video) => {
+  const entry = entries.get(video);
+  if (!entry) return;
+
+  entry.requested = false;
+  update(entry);
+};
+
+/**
+ * Pause every managed video until the returned release is called
+ *
+ * Used by fullscreen players so background loops rest underneath them.
+ *
+ * @returns {Function} - Releases the hold
+ */
+export const holdMedia = () => {
+  holds += 1;
+  updateAll();
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    holds -= 1;
+    updateAll();
+  };
+};
@@ -0,0 +1,94 @@
+// Effective connection types too slow for background video
+const SLOW_CONNECTIONS = ["slow-2g", "2g"];
+
+// Shared element for codec support checks
+let probe = null;
+
+/**
+ * Whether the browser can play a MIME type (with optional codecs)
+ *
+ * @param {string} [type] - e.g. 'video/webm; codecs="vp9"'
+ * @returns {boolean}
+ */
+const canPlayType = (type) => {
+  if (!type) return true;
+
+  probe ??= document.createElement("video");
+  return probe.canPlayType(type) !== "";
+};
+
+/**
+ * Network hints from the Network Information API (where supported)
+ *
+ * @returns {{ saveData: boolean, effectiveType: string | undefined }}
+ */
+export const getNetworkHints = () => {
+  const connection = navigator.connection;
+
+  return {
+    saveData: Boolean(connection?.saveData),
+    effectiveType: connection?.effectiveType,
+  };
+};
+
+/**
+ * Pick how a media source renders on this device
+ *
+ * - A still image on breakpoints listed in `stillOn` (e.g. the footer
+ *   splash on mobile), when the caller asks for one (`stillOnly`), and
+ *   whenever Save-Data is on or the connection is 2g or slower
+ * - Otherwise the smallest playable rendition at least as wide as the
+ *   viewport in device pixels - or the smallest one on 3g - falling back
+ *   to the widest rendition
+ *
+ * The still falls back to the poster frame when none is declared.
+ *
+ * @param {Object} media - mediaSources entry
+ * @param {Object} context
+ * @param {string} context.breakpoint - "desktop" | "tablet" | "mobile"
+ * @param {Object} [context.network] - getNetworkHints() result
+ * @param {number} [context.viewportWidth] - CSS pixels
+ * @param {number} [context.pixelRatio] - Device pixel ratio
+ * @param {boolean} [context.stillOnly=false] - Always pick the still
+ * @returns {Object|null} - { kind: "video", src, type, poster },
+ *   { kind: "still", src, alt }, or null when nothing can be shown
+ */
+export const selectMediaSource = (
+  media,
+  {
+    breakpoint,
+    network = getNetworkHints(),
+    viewportWidth = window.innerWidth,
+    pixelRatio = window.devicePixelRatio || 1,
+    stillOnly = false,
+  }
+) => {
+  const still = media.still ?? (media.poster && { src: media.poster, alt: "" });
+  const stillSource = still ? { kind: "still", ...still } : null;
+
+  const constrained =
+    network.saveData || SLOW_CONNECTIONS.includes(network.effectiveType);
+
+  if (stillOnly || media.stillOn?.includes(breakpoint) || constrained) {
+    return stillSource;
+  }
+
+  const renditions = media.renditions
+    .filter((rendition) => canPlayType(rendition.type))
+    .sort((a, b) => (a.width ?? Infinity) - (b.width ?? Infinity));
+
+  if (!renditions.length) return stillSource;
+
+  const targetWidth =
+    network.effectiveType === "3g" ? 0 : viewportWidth * pixelRatio;
+  const rendition =
+    renditions.find((item) => (item.width ?? Infinity) >= targetWidth) ??
+    renditions[renditions.length - 1];
+
+  return {
+    kind: "video",
+    src: rendition.src,
+    type: rendition.type,
+    poster: media.poster,
+  };
+};
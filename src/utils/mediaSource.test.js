@@ -0,0 +1,64 @@
+import { beforeAll, describe, expect, it, vi } from "vitest";
+import { mediaSources } from "../constants";
+import { selectMediaSource } from "./mediaSource";
+
+// Desktop on a fast connection unless a test says otherwise
+const context = (overrides) => ({
+  breakpoint: "desktop",
+  network: { saveData: false, effectiveType: "4g" },
+  viewportWidth: 1440,
+  pixelRatio: 1,
+  ...overrides,
+});
+
+describe("selectMediaSource", () => {
+  // jsdom plays nothing - every rendition here is plain mp4
+  beforeAll(() => {
+    vi.spyOn(HTMLMediaElement.prototype, "canPlayType").mockReturnValue(
+      "maybe"
+    );
+  });
+
+  it("picks the smallest rendition covering the viewport", () => {
+    const { footerSplash } = mediaSources;
+
+    expect(
+      selectMediaSource(footerSplash, context({ viewportWidth: 700 })).src
+    ).toBe("/videos/splash-720.mp4");
+    expect(selectMediaSource(footerSplash, context()).src).toBe(
+      "/videos/splash-1440.mp4"
+    );
+    expect(
+      selectMediaSource(footerSplash, context({ pixelRatio: 2 })).src
+    ).toBe("/videos/splash.mp4");
+  });
+
+  it("falls back to the widest rendition on larger screens", () => {
+    expect(
+      selectMediaSource(mediaSources.hero, context({ viewportWidth: 1920 })).src
+    ).toBe("/videos/hero-bg.mp4");
+  });
+
+  it("picks the smallest rendition on 3g", () => {
+    const network = { saveData: false, effectiveType: "3g" };
+
+    expect(
+      selectMediaSource(mediaSources.pinVideo, context({ network }))
+    ).toEqual({
+      kind: "video",
+      src: "/videos/pin-video-640.mp4",
+      type: "video/mp4",
+      poster: "/images/video-img.webp",
+    });
+  });
+
+  it("shows the still with Save-Data on", () => {
+    const network = { saveData: true, effectiveType: "4g" };
+
+    expect(selectMediaSource(mediaSources.hero, context({ network }))).toEqual({
+      kind: "still",
+      src: "/images/hero-img.png",
+      alt: "Spylt drinks",
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Newsletter signup helpers: email validation and submission adapters
+ *
+ * An adapter is any object with an async `subscribe(email)` method that
+ * resolves to `{ status }`:
+ * - "pending-confirmation": double opt-in email sent
+ * - "already-subscribed": the address is already on the list
+ *
+ * Failures reject with an Error whose `code` is "network" or "server".
+ */
+
+// Pragmatic email check: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Validate an email address before submitting it
+ *
+ * @param {string} email - Raw input value
+ * @returns {"required"|"invalid"|null} - Problem with the address (the
+ *   form shows the matching `ui.newsletter` message), or null when valid
+ */
+export const validateEmail = (email) => {
+  const value = email.trim();
+
+  if (!value) return "required";
+  if (value.length > 254 || !EMAIL_PATTERN.test(value)) return "invalid";
+
+  return null;
+};
+
+/**
+ * Create an Error carrying an adapter failure code
+ */
+const createSubscribeError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Local mock adapter for development and tests
+ *
+ * Remembers subscribed addresses (in localStorage when available) so
+ * resubmitting returns "already-subscribed". Addresses containing
+ * "+error" fail with a server error to exercise the error state.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.delay=800] - Simulated network latency in ms
+ * @param {string} [options.storageKey] - localStorage key (null = memory only)
+ * @returns {{ subscribe: (email: string) => Promise<{ status: string }> }}
+ */
+export const createMockNewsletterAdapter = ({
+  delay = 800,
+  storageKey = "spylt-newsletter-mock",
+} = {}) => {
+  let memory = [];
+
+  const read = () => {
+    if (!storageKey) return memory;
+    try {
+      return JSON.parse(window.localStorage.getItem(storageKey)) || [];
+    } catch {
+      return memory;
+    }
+  };
+
+  const write = (emails) => {
+    memory = emails;
+    if (!storageKey) return;
+    try {
+      window.localStorage.setItem(storageKey, JSON.stringify(emails));
+    } catch {
+      // Storage unavailable - keep the in-memory list
+    }
+  };
+
+  const subscribe = async (email) => {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+
+    const normalized = email.trim().toLowerCase();
+
+    if (normalized.includes("+error")) {
+      throw createSubscribeError("server", "Mock adapter failure");
+    }
+
+    const emails = read();
+    if (emails.includes(normalized)) return { status: "already-subscribed" };
+
+    write([...emails, normalized]);
+    return { status: "pending-confirmation" };
+  };
+
+  return { subscribe };
+};
+
+/**
+ * HTTP adapter posting `{ email }` as JSON to a signup endpoint
+ *
+ * Expects 200/201/202 for a new signup and 409 for an existing subscriber.
+ *
+ * @param {string} endpoint - Signup URL
+ * @returns {{ subscribe: (email: string) => Promise<{ status: string }> }}
+ */
+export const createHttpNewsletterAdapter = (endpoint) => ({
+  subscribe: async (email) => {
+    let response;
+
+    try {
+      response = await fetch(endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email: email.trim() }),
+      });
+    } catch {
+      throw createSubscribeError("network", "Network request failed");
+    }
+
+    if (response.status === 409) return { status: "already-subscribed" };
+    if (!response.ok) {
+      throw createSubscribeError(
+        "server",
+        `Signup failed (${response.status})`
+      );
+    }
+
+    return { status: "pending-confirmation" };
+  },
+});
+
+/**
+ * Default adapter: the HTTP endpoint from VITE_NEWSLETTER_ENDPOINT when it
+ * is configured, the local mock in development, and null in a production
+ * build without an endpoint - the form then shows a disabled "sign-ups
+ * closed" state rather than promise visitors an email that is never sent
+ */
+const getDefaultAdapter = () => {
+  const endpoint = import.meta.env.VITE_NEWSLETTER_ENDPOINT;
+
+  if (endpoint) return createHttpNewsletterAdapter(endpoint);
+  return import.meta.env.DEV ? createMockNewsletterAdapter() : null;
+};
+
+export const defaultNewsletterAdapter = getDefaultAdapter();
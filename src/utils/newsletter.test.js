@@ -0,0 +1,51 @@
+import { describe, expect, it } from "vitest";
+import { createMockNewsletterAdapter, validateEmail } from "./newsletter";
+
+describe("validateEmail", () => {
+  it("accepts a plain address, ignoring surrounding spaces", () => {
+    expect(validateEmail("milk@spylt.com")).toBeNull();
+    expect(validateEmail("  milk@spylt.com ")).toBeNull();
+  });
+
+  it("requires an address", () => {
+    expect(validateEmail("")).toBe("required");
+    expect(validateEmail("   ")).toBe("required");
+  });
+
+  it("rejects malformed addresses", () => {
+    expect(validateEmail("milk")).toBe("invalid");
+    expect(validateEmail("milk@spylt")).toBe("invalid");
+    expect(validateEmail("mi lk@spylt.com")).toBe("invalid");
+    expect(validateEmail("milk@@spylt.com")).toBe("invalid");
+  });
+
+  it("rejects addresses longer than 254 characters", () => {
+    expect(validateEmail(`${"a".repeat(250)}@spylt.com`)).toBe("invalid");
+  });
+});
+
+describe("createMockNewsletterAdapter", () => {
+  const createAdapter = () =>
+    createMockNewsletterAdapter({ delay: 0, storageKey: null });
+
+  it("asks new subscribers to confirm", async () => {
+    await expect(createAdapter().subscribe("milk@spylt.com")).resolves.toEqual({
+      status: "pending-confirmation",
+    });
+  });
+
+  it("recognizes an address it already has, in any case", async () => {
+    const adapter = createAdapter();
+    await adapter.subscribe("milk@spylt.com");
+
+    await expect(adapter.subscribe(" MILK@spylt.com")).resolves.toEqual({
+      status: "already-subscribed",
+    });
+  });
+
+  it("fails with a server error for +error addresses", async () => {
+    await expect(
+      createAdapter().subscribe("milk+error@spylt.com")
+    ).rejects.toMatchObject({ code: "server" });
+  });
+});
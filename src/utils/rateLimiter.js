@@ -0,0 +1,50 @@
+/**
+ * Create a sliding-window rate limiter
+ *
+ * Keeps the timestamps of recent attempts and refuses new ones once
+ * `limit` attempts happened within `windowMs`, or when the previous attempt
+ * was less than `minIntervalMs` ago.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Attempts allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} [options.minIntervalMs=0] - Minimum gap between attempts
+ * @param {Function} [options.now=Date.now] - Clock (injectable for tests)
+ * @returns {{ attempt: () => { allowed: boolean, retryAfterMs: number }, reset: () => void }}
+ */
+export const createRateLimiter = ({
+  limit,
+  windowMs,
+  minIntervalMs = 0,
+  now = Date.now,
+}) => {
+  let attempts = [];
+
+  const attempt = () => {
+    const time = now();
+
+    // Forget attempts that left the window
+    attempts = attempts.filter((stamp) => time - stamp < windowMs);
+
+    const last = attempts[attempts.length - 1];
+
+    // Too soon after the previous attempt
+    if (last !== undefined && time - last < minIntervalMs) {
+      return { allowed: false, retryAfterMs: minIntervalMs - (time - last) };
+    }
+
+    // Too many attempts in the current window
+    if (attempts.length >= limit) {
+      return { allowed: false, retryAfterMs: windowMs - (time - attempts[0]) };
+    }
+
+    attempts.push(time);
+    return { allowed: true, retryAfterMs: 0 };
+  };
+
+  const reset = () => {
+    attempts = [];
+  };
+
+  return { attempt, reset };
+};
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { createRateLimiter } from "./rateLimiter";
+
+// Limiter driven by a clock the test moves by hand
+const createLimiter = (options) => {
+  const clock = { time: 0 };
+  const limiter = createRateLimiter({ ...options, now: () => clock.time });
+  return { clock, limiter };
+};
+
+describe("createRateLimiter", () => {
+  it("allows attempts up to the limit within the window", () => {
+    const { clock, limiter } = createLimiter({ limit: 3, windowMs: 60000 });
+
+    expect(limiter.attempt().allowed).toBe(true);
+    clock.time = 1000;
+    expect(limiter.attempt().allowed).toBe(true);
+    clock.time = 2000;
+    expect(limiter.attempt().allowed).toBe(true);
+
+    clock.time = 3000;
+    expect(limiter.attempt()).toEqual({ allowed: false, retryAfterMs: 57000 });
+  });
+
+  it("allows attempts again once the oldest leaves the window", () => {
+    const { clock, limiter } = createLimiter({ limit: 2, windowMs: 10000 });
+
+    limiter.attempt();
+    clock.time = 4000;
+    limiter.attempt();
+
+    clock.time = 9999;
+    expect(limiter.attempt().allowed).toBe(false);
+    clock.time = 10000;
+    expect(limiter.attempt().allowed).toBe(true);
+  });
+
+  it("enforces the minimum gap between attempts", () => {
+    const { clock, limiter } = createLimiter({
+      limit: 3,
+      windowMs: 60000,
+      minIntervalMs: 5000,
+    });
+
+    limiter.attempt();
+    clock.time = 2000;
+    expect(limiter.attempt()).toEqual({ allowed: false, retryAfterMs: 3000 });
+
+    // Refused attempts do not count
+    clock.time = 5000;
+    expect(limiter.attempt().allowed).toBe(true);
+  });
+
+  it("forgets every attempt on reset", () => {
+    const { limiter } = createLimiter({ limit: 1, windowMs: 60000 });
+
+    limiter.attempt();
+    expect(limiter.attempt().allowed).toBe(false);
+
+    limiter.reset();
+    expect(limiter.attempt().allowed).toBe(true);
+  });
+});
@@ -0,0 +1,268 @@
+// Import GSAP and the shared split/direction helpers
+import gsap from "gsap";
+import { mirrorClipPath, mirrorX } from "./direction";
+import { splitText } from "./splitText";
+
+// Fully revealed clip-path shape
+const CLIP_SHOWN = "polygon(0% 0%, 100% 0%, 100% 100%, 0% 100%)";
+
+// Hidden clip-path shapes per reveal direction - a thin line the shape
+// grows out of. "start" and "end" are mirrored in RTL.
+const CLIP_HIDDEN = {
+  center: "polygon(50% 0%, 50% 0%, 50% 100%, 50% 100%)",
+  start: "polygon(0% 0%, 0% 0%, 0% 100%, 0% 100%)",
+  end: "polygon(100% 0%, 100% 0%, 100% 100%, 100% 100%)",
+  top: "polygon(0% 0%, 100% 0%, 100% 0%, 0% 0%)",
+  bottom: "polygon(0% 100%, 100% 100%, 100% 100%, 0% 100%)",
+};
+
+// Options that configure the ScrollTrigger of a standalone reveal
+const SCROLL_OPTIONS = ["trigger", "start", "end", "scrub", "pin"];
+
+/**
+ * Reveal presets
+ *
+ * Each preset declares:
+ * - options: preset settings and their defaults (not passed to GSAP)
+ * - vars: default tween vars, overridable per instance
+ * - scroll: default ScrollTrigger settings when revealed on its own
+ * - splits: whether it splits text (wait for fonts before building)
+ * - hidden / shown: styles before and after the reveal (markup and the
+ *   reduced-motion end state); presets without them need neither
+ * - create(targets, options, vars, attach): builds the animation and
+ *   passes it through `attach`, which adds it to a timeline when composed
+ */
+export const revealPresets = {
+  // Clip-path grows from a thin line into the full element
+  clipReveal: {
+    options: { direction: "center", fade: false },
+    vars: { duration: 1, ease: "circ.out" },
+    scroll: { start: "top 80%" },
+    hidden: ({ direction, fade, dir }) => ({
+      clipPath: mirrorClipPath(CLIP_HIDDEN[direction], dir),
+      ...(fade && { opacity: 0 }),
+    }),
+    shown: ({ fade, dir }) => ({
+      clipPath: mirrorClipPath(CLIP_SHOWN, dir),
+      ...(fade && { opacity: 1 }),
+    }),
+    create: (targets, options, vars, attach) =>
+      attach(
+        gsap.fromTo(targets, revealPresets.clipReveal.hidden(options), {
+          ...revealPresets.clipReveal.shown(options),
+          ...vars,
+        })
+      ),
+  },
+
+  // Characters slide up out of an overflow-hidden line
+  charRise: {
+    options: {},
+    vars: { yPercent: 200, stagger: 0.02, ease: "power2.out" },
+    scroll: { start: "top 80%" },
+    splits: true,
+    create: (targets, options, vars, attach) =>
+      attach(gsap.from(splitText(targets, { type: "chars" }).chars, vars)),
+  },
+
+  // Words of a paragraph slide up with a slight rotation, rebuilt whenever
+  // a resize re-flows the lines
+  wordRise: {
+    options: { linesClass: "paragraph-line" },
+    vars: {
+      yPercent: 300,
+      rotate: 3,
+      ease: "power1.inOut",
+      duration: 1,
+      stagger: 0.01,
+    },
+    scroll: { start: "top center" },
+    splits: true,
+    create: (targets, { linesClass }, vars, attach) =>
+      splitText(targets, {
+        type: "words, lines",
+        linesClass,
+        // Return the tween, not the timeline it was added to, so a
+        // re-split only replaces the words animation
+        onSplit: (split) => attach(gsap.from(split.words, vars)),
+      }),
+  },
+
+  // Words change color one after another as the page scrolls
+  colorSweep: {
+    options: { color: "#faeade" },
+    vars: { ease: "power1.in", stagger: 1 },
+    scroll: { start: "top center", end: "bottom center", scrub: true },
+    splits: true,
+    shown: ({ color }) => ({ color }),
+    create: (targets, { color }, vars, attach) =>
+      attach(
+        gsap.to(splitText(targets, { type: "words" }).words, {
+          color,
+          ...vars,
+        })
+      ),
+  },
+
+  // Horizontal drift tied to scroll, mirrored in RTL
+  parallaxX: {
+    options: {},
+    vars: { xPercent: 0 },
+    scroll: { start: "top bottom", end: "bottom top", scrub: true },
+    create: (targets, { dir }, { xPercent, ...vars }, attach) =>
+      attach(gsap.to(targets, { xPercent: mirrorX(xPercent, dir), ...vars })),
+  },
+
+  // Pinned, scrubbed timeline - the caller adds the tweens it plays
+  pinScrub: {
+    options: {},
+    vars: {},
+    scroll: { start: "top top", end: "200% top", scrub: 1.5, pin: true },
+    create: (targets, options, vars, attach) => attach(gsap.timeline(vars)),
+  },
+};
+
+/**
+ * Look up a preset by name
+ *
+ * @param {string} name - Key of revealPresets
+ * @returns {Object} - The preset
+ * @throws {Error} - For unknown presets, listing the known ones
+ */
+const getPreset = (name) => {
+  const preset = revealPresets[name];
+  if (!preset) {
+    throw new Error(
+      `Unknown reveal preset "${name}" - expected one of ${Object.keys(
+        revealPresets
+      ).join(", ")}`
+    );
+  }
+  return preset;
+};
+
+/**
+ * Sort reveal options into preset settings, ScrollTrigger settings and
+ * tween vars, on top of the preset defaults
+ *
+ * @param {Object} preset - revealPresets entry
+ * @param {Object} overrides - Per-instance options
+ */
+const resolveOptions = (preset, { dir = "ltr", ...overrides }) => {
+  const options = { ...preset.options, dir };
+  const scroll = { ...preset.scroll };
+  const vars = { ...preset.vars };
+
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key in preset.options) options[key] = value;
+    else if (SCROLL_OPTIONS.includes(key)) scroll[key] = value;
+    else vars[key] = value;
+  }
+
+  return { options, scroll, vars };
+};
+
+/**
+ * Build a reveal animation from a preset
+ *
+ * Standalone reveals get their own ScrollTrigger (triggered by the first
+ * target unless `trigger` is given). Pass `timeline` (and optionally
+ * `position`) to compose the reveal into a sequence instead; it then
+ * plays with that timeline.
+ *
+ * @example
+ *   reveal(".msg-text-scroll", "clipReveal", { direction: "start", dir });
+ *   reveal(".hero-title", "charRise", { timeline: tl, position: "-=0.5" });
+ *
+ * @param {string|Element|Array} targets - Element(s) or selector to reveal
+ * @param {string} name - Preset name (see revealPresets)
+ * @param {Object} [overrides] - Per-instance options: preset settings
+ *   (e.g. direction), ScrollTrigger settings (trigger, start, end, scrub,
+ *   pin), `dir` for mirroring, `timeline`/`position`, and any tween vars
+ * @returns {Tween|Timeline|SplitText} - The animation (the split for
+ *   presets that rebuild on re-split)
+ */
+export const reveal = (targets, name, overrides = {}) => {
+  const preset = getPreset(name);
+  const { timeline, position, ...rest } = overrides;
+  const { options, scroll, vars } = resolveOptions(preset, rest);
+
+  const attach = timeline
+    ? (animation) => {
+        timeline.add(animation, position);
+        return animation;
+      }
+    : (animation) => animation;
+
+  if (!timeline) {
+    vars.scrollTrigger = {
+      ...scroll,
+      trigger: scroll.trigger ?? gsap.utils.toArray(targets)[0],
+    };
+  }
+
+  return preset.create(targets, options, vars, attach);
+};
+
+/**
+ * Apply a preset's revealed state without animating (reduced motion)
+ *
+ * @param {string|Element|Array} targets - Element(s) or selector
+ * @param {string} name - Preset name
+ * @param {Object} [overrides] - The options the reveal is built with
+ */
+export const revealEnd = (targets, name, overrides = {}) => {
+  const preset = getPreset(name);
+  if (!preset.shown) return;
+
+  gsap.set(targets, preset.shown(resolveOptions(preset, overrides).options));
+};
+
+/**
+ * Initial (hidden) inline style for an element revealed with a preset, so
+ * it doesn't flash before the animation is built
+ *
+ * @param {string} name - Preset name
+ * @param {Object} [overrides] - The options the reveal is built with
+ * @returns {Object} - React style object (empty for text presets)
+ */
+export const getRevealStyle = (name, overrides = {}) => {
+  const preset = getPreset(name);
+  return preset.hidden?.(resolveOptions(preset, overrides).options) ?? {};
+};
+
+/**
+ * Whether a preset splits text, so its reveal should wait for fonts
+ *
+ * @param {string} name - Preset name
+ */
+export const isSplitReveal = (name) => Boolean(getPreset(name).splits);
+
+/**
+ * Read reveal options from an element's data attributes
+ *
+ * `data-reveal-direction="start"` becomes `{ direction: "start" }`;
+ * numbers and booleans are parsed, e.g. `data-reveal-scrub="1.5"`.
+ *
+ * @param {HTMLElement} element - Element with `data-reveal="<preset>"`
+ * @returns {Object} - Options for reveal()
+ */
+export const getRevealAttributes = (element) => {
+  const options = {};
+
+  for (const [key, value] of Object.entries(element.dataset)) {
+    if (!key.startsWith("reveal") || key === "reveal") continue;
+
+    const option = key[6].toLowerCase() + key.slice(7);
+    options[option] =
+      value === "true"
+        ? true
+        : value === "false"
+        ? false
+        : value !== "" && !Number.isNaN(Number(value))
+        ? Number(value)
+        : value;
+  }
+
+  return options;
+};
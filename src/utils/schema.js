@@ -0,0 +1,127 @@
+/**
+ * Minimal schema validators for JSON data
+ *
+ * A validator is a function `(value, path) => string[]` returning one
+ * readable message per problem, prefixed with the path of the offending
+ * value (e.g. `hero.media.renditions[0].width: expected number, got "720"`).
+ * Validators compose, so a whole file is described by nesting them.
+ */
+
+// Short description of a value for error messages
+const describe = (value) => {
+  if (value === undefined) return "nothing";
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "an array";
+  if (typeof value === "object") return "an object";
+  return JSON.stringify(value);
+};
+
+const expected = (path, what, value) => [
+  `${path}: expected ${what}, got ${describe(value)}`,
+];
+
+/**
+ * Non-empty string, optionally matching a pattern
+ *
+ * @param {Object} [options]
+ * @param {RegExp} [options.pattern] - Required format
+ * @param {string} [options.description] - Format name used in messages
+ */
+export const string =
+  ({ pattern, description = "a non-empty string" } = {}) =>
+  (value, path) => {
+    if (typeof value !== "string" || !value.trim()) {
+      return expected(path, "a non-empty string", value);
+    }
+    return pattern && !pattern.test(value)
+      ? expected(path, description, value)
+      : [];
+  };
+
+/**
+ * Number, optionally an integer within bounds
+ *
+ * @param {Object} [options]
+ * @param {number} [options.min] - Smallest allowed value
+ * @param {number} [options.max] - Largest allowed value
+ * @param {boolean} [options.integer] - Whole numbers only
+ */
+export const number =
+  ({ min = -Infinity, max = Infinity, integer = false } = {}) =>
+  (value, path) => {
+    const valid =
+      typeof value === "number" &&
+      Number.isFinite(value) &&
+      value >= min &&
+      value <= max &&
+      (!integer || Number.isInteger(value));
+
+    if (valid) return [];
+
+    const kind = integer ? "an integer" : "a number";
+    const bounds = [
+      min > -Infinity && `>= ${min}`,
+      max < Infinity && `<= ${max}`,
+    ].filter(Boolean);
+    return expected(path, [kind, ...bounds].join(" "), value);
+  };
+
+/**
+ * One of a fixed set of values
+ *
+ * @param {Array} values - Allowed values
+ */
+export const oneOf = (values) => (value, path) =>
+  values.includes(value)
+    ? []
+    : expected(path, `one of ${values.map(describe).join(", ")}`, value);
+
+/**
+ * Array whose items all match a validator
+ *
+ * @param {Function} item - Validator for each item
+ * @param {Object} [options]
+ * @param {number} [options.minLength=0] - Fewest items allowed
+ */
+export const array =
+  (item, { minLength = 0 } = {}) =>
+  (value, path) => {
+    if (!Array.isArray(value)) return expected(path, "an array", value);
+    if (value.length < minLength) {
+      return [
+        `${path}: expected at least ${minLength} item(s), got ${value.length}`,
+      ];
+    }
+    return value.flatMap((entry, index) => item(entry, `${path}[${index}]`));
+  };
+
+/**
+ * Object with known keys - unknown keys are reported too, so typos in a
+ * hand-edited file do not go unnoticed
+ *
+ * @param {Object} shape - Validator per key
+ */
+export const object = (shape) => (value, path) => {
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return expected(path, "an object", value);
+  }
+
+  const unknown = Object.keys(value)
+    .filter((key) => !(key in shape))
+    .map((key) => `${path}.${key}: unexpected key`);
+
+  return [
+    ...unknown,
+    ...Object.entries(shape).flatMap(([key, validate]) =>
+      validate(value[key], `${path}.${key}`)
+    ),
+  ];
+};
+
+/**
+ * Allow a value to be missing (undefined)
+ *
+ * @param {Function} validate - Validator used when the value is present
+ */
+export const optional = (validate) => (value, path) =>
+  value === undefined ? [] : validate(value, path);
@@ -0,0 +1,31 @@
+// Import GSAP scroll plugin
+import { ScrollSmoother } from "gsap/all";
+
+/**
+ * Freeze page scrolling underneath a full-screen overlay
+ *
+ * Pauses ScrollSmoother (or hides native overflow with reduced motion) and
+ * records the scroll position, so pinned sections keep their progress while
+ * the overlay is open.
+ *
+ * @returns {Function} - Unlocks scrolling and restores the recorded position
+ */
+export const lockScroll = () => {
+  const smoother = ScrollSmoother.get();
+  const position = smoother ? smoother.scrollTop() : window.scrollY;
+  const { overflow } = document.body.style;
+
+  smoother?.paused(true);
+  document.body.style.overflow = "hidden";
+
+  return () => {
+    document.body.style.overflow = overflow;
+
+    if (smoother) {
+      smoother.paused(false);
+      smoother.scrollTop(position);
+    } else {
+      window.scrollTo(0, position);
+    }
+  };
+};
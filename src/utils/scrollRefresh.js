@@ -0,0 +1,23 @@
+// Import GSAP ScrollTrigger plugin
+import { ScrollTrigger } from "gsap/all";
+
+// Pending animation frame for the next refresh (null when none is queued)
+let frameId = null;
+
+/**
+ * Queue a single ScrollTrigger.refresh for the next animation frame
+ *
+ * Several sections rebuild their timelines at the same moment (crossing a
+ * breakpoint, toggling reduced motion). Each one calls this helper instead
+ * of refreshing directly, so start/end positions and pin spacing are
+ * measured once, after every section has finished rebuilding.
+ */
+export const scheduleScrollRefresh = () => {
+  // A refresh is already queued for this frame - nothing else to do
+  if (frameId !== null) return;
+
+  frameId = requestAnimationFrame(() => {
+    frameId = null;
+    ScrollTrigger.refresh();
+  });
+};
@@ -0,0 +1,125 @@
+// Import GSAP scroll plugins
+import { ScrollSmoother, ScrollTrigger } from "gsap/all";
+
+// ScrollTriggers that mark each navigable section, keyed by section id
+const sectionTriggers = new Map();
+
+// Resolvers for positions inside a section (e.g. one flavor inside the
+// pinned FlavorSlider), keyed by section id - one per section instance
+const anchorResolvers = new Map();
+
+/**
+ * Register a resolver for anchors inside a section
+ *
+ * Used for deep links such as `#flavors/cookies-cream`, where the target is
+ * a point inside a pinned, scrubbed timeline rather than an element offset.
+ *
+ * @param {string} id - Section id
+ * @param {Function} resolver - (anchor) => scroll position in px, or null
+ * @returns {Function} - Unregisters the resolver
+ */
+export const registerSectionAnchors = (id, resolver) => {
+  anchorResolvers.set(id, resolver);
+
+  return () => {
+    if (anchorResolvers.get(id) === resolver) anchorResolvers.delete(id);
+  };
+};
+
+/**
+ * Document scroll position of an element's top edge
+ *
+ * Uses ScrollSmoother's offset when it is active, because the smoothed
+ * content is transformed and its bounding box lags behind the real scroll.
+ *
+ * @param {Element} element - Element to measure
+ * @returns {number} - Scroll position in pixels
+ */
+export const getElementScrollPosition = (element) => {
+  const smoother = ScrollSmoother.get();
+  if (smoother) return smoother.offset(element, "top top");
+
+  return element.getBoundingClientRect().top + window.scrollY;
+};
+
+/**
+ * Create the marker ScrollTrigger for one navigable section
+ *
+ * Markers refresh after every other trigger (refreshPriority -1), so their
+ * start positions already include the pin spacing added by FlavorSlider,
+ * VideoPinSection and TestimonialSection.
+ *
+ * @param {Object} section - navLinks entry ({ id, start })
+ * @param {Object} callbacks - Extra ScrollTrigger callbacks (onToggle, ...)
+ * @returns {ScrollTrigger|null} - The marker, or null if the section is missing
+ */
+export const createSectionTrigger = (section, callbacks = {}) => {
+  const element = document.getElementById(section.id);
+  if (!element) return null;
+
+  const trigger = ScrollTrigger.create({
+    trigger: element,
+    start: section.start || "top top",
+    end: "bottom top",
+    refreshPriority: -1, // Measure after all pins are in place
+    ...callbacks,
+    onKill: () => sectionTriggers.delete(section.id),
+  });
+
+  sectionTriggers.set(section.id, trigger);
+  return trigger;
+};
+
+/**
+ * Resolve the scroll position of a section, or of an anchor inside it
+ *
+ * @param {string} id - Section id
+ * @param {string} [anchor] - Anchor handled by the section's resolver
+ * @returns {number|null} - Scroll position in pixels, or null if unknown
+ */
+export const getSectionScrollPosition = (id, anchor) => {
+  // Anchors fall back to the section start when they cannot be resolved
+  if (anchor) {
+    const position = anchorResolvers.get(id)?.(anchor);
+    if (position != null) return position;
+  }
+
+  const trigger = sectionTriggers.get(id);
+  if (trigger) return trigger.start;
+
+  // Fallback for sections without a marker: plain document offset
+  const element = document.getElementById(id);
+  return element ? element.getBoundingClientRect().top + window.scrollY : null;
+};
+
+/**
+ * Scroll to a section through ScrollSmoother when it is active, or with
+ * native scrolling otherwise (reduced motion)
+ *
+ * @param {string} id - Section id
+ * @param {Object} [options]
+ * @param {string} [options.anchor] - Anchor inside the section
+ * @param {boolean} [options.smooth=true] - Animate the scroll
+ * @param {number} [options.offset=0] - Extra pixels added to the position
+ * @returns {boolean} - False when the section does not exist
+ */
+export const scrollToSection = (
+  id,
+  { anchor, smooth = true, offset = 0 } = {}
+) => {
+  const position = getSectionScrollPosition(id, anchor);
+  if (position === null) return false;
+
+  const smoother = ScrollSmoother.get();
+
+  if (smoother) {
+    smoother.scrollTo(position + offset, smooth);
+  } else {
+    window.scrollTo({
+      top: position + offset,
+      behavior: smooth ? "smooth" : "auto",
+    });
+  }
+
+  return true;
+};
@@ -0,0 +1,92 @@
+// Import GSAP and the SplitText plugin
+import gsap from "gsap";
+import { SplitText } from "gsap/all";
+
+gsap.registerPlugin(SplitText);
+
+// Elements whose role can be named with aria-label. Other elements (p,
+// div, span) get a visually hidden copy of their text instead, since
+// screen readers ignore aria-label there.
+const LABELLED_TAGS = new Set(["H1", "H2", "H3", "H4", "H5", "H6", "A"]);
+
+// Scripts whose letters join (Arabic, Syriac, N'Ko): splitting them into
+// characters breaks the letter shapes, so they are split into words
+const JOINING_SCRIPT = /[\u0600-\u07ff\u0860-\u08ff\ufb50-\ufdff\ufe70-\ufeff]/;
+
+/**
+ * Make one split element read as its original text
+ *
+ * The split pieces are hidden from assistive technology and the full text
+ * is exposed once on the element. SplitText's revert restores the original
+ * markup and attributes, which removes both again.
+ *
+ * @param {HTMLElement} element - Element that was split
+ * @param {string} text - Its text before splitting
+ */
+const labelSplitElement = (element, text) => {
+  for (const piece of element.children) {
+    piece.setAttribute("aria-hidden", "true");
+  }
+
+  if (LABELLED_TAGS.has(element.tagName)) {
+    element.setAttribute("aria-label", text);
+    return;
+  }
+
+  const label = document.createElement("span");
+  label.className = "sr-only";
+  label.textContent = text;
+  element.append(label);
+};
+
+/**
+ * Split text into lines, words and/or characters for animation
+ *
+ * Shared wrapper around SplitText.create used by every section:
+ * - Screen readers read the original text once instead of fragments
+ * - Character splits fall back to words for joining scripts (the
+ *   returned `chars` then holds the words, so animations keep working)
+ * - Splits that include lines re-split when the element is resized or
+ *   fonts load (autoSplit). Build line-based animations in `onSplit` and
+ *   return them, so they are reverted and rebuilt with the new lines.
+ * - Like any SplitText created in a gsap.context (useGSAP), the split is
+ *   reverted when the section unmounts or rebuilds
+ *
+ * @param {string|Element|Array} target - Element(s) or selector to split
+ * @param {Object} vars - SplitText options
+ * @param {string} vars.type - "chars", "words" and/or "lines"
+ * @param {Function} [vars.onSplit] - Called with the split after every
+ *   (re-)split; may return the animation built on it
+ * @returns {SplitText} - The split
+ */
+export const splitText = (target, { type, onSplit, ...vars }) => {
+  const elements = gsap.utils.toArray(target);
+
+  // Original text per element, read before SplitText rewrites the markup
+  const texts = new Map(
+    elements.map((element) => [element, element.textContent.trim()])
+  );
+
+  const types = type.split(",").map((part) => part.trim());
+  const joining = elements.some((element) =>
+    JOINING_SCRIPT.test(texts.get(element))
+  );
+  const splitTypes =
+    joining && types.includes("chars")
+      ? [...new Set(types.map((part) => (part === "chars" ? "words" : part)))]
+      : types;
+
+  return SplitText.create(elements, {
+    ...vars,
+    type: splitTypes.join(", "),
+    aria: "none", // Labelled per element below
+    autoSplit: types.includes("lines"),
+    onSplit: (split) => {
+      if (joining) split.chars = split.words;
+      split.elements.forEach((element) =>
+        labelSplitElement(element, texts.get(element))
+      );
+      return onSplit?.(split);
+    },
+  });
+};